@@ -0,0 +1,77 @@
+/**
+ * Batches - Many folder imports submitted in one request
+ * Each accepted folder is a regular import job tagged with the batch ID; the
+ * batch's own progress is worked out from those jobs whenever it is read.
+ */
+const { FINISHED_JOB_STATUSES } = require('./jobEvents');
+
+// Most folders one POST /import/batch may submit
+const IMPORT_BATCH_MAX_ENTRIES = parseInt(process.env.IMPORT_BATCH_MAX_ENTRIES || '100');
+
+const JOB_STATUSES = ['queued', 'listing', 'downloading', 'paused', 'completed', 'failed', 'cancelled'];
+
+/**
+ * Overall state of a batch's jobs:
+ * 'queued' until one starts, 'running' until all finished, then
+ * 'completed', 'failed' (none completed) or 'completed_with_errors'
+ */
+function batchStatus(jobs) {
+  if (!jobs.length) return 'failed';
+
+  if (jobs.every(job => job.status === 'queued')) return 'queued';
+  if (!jobs.every(job => FINISHED_JOB_STATUSES.includes(job.status))) return 'running';
+
+  const completed = jobs.filter(job => job.status === 'completed').length;
+  if (completed === jobs.length) return 'completed';
+  return completed ? 'completed_with_errors' : 'failed';
+}
+
+/**
+ * Shape a batch row and its jobs for API responses: the entries as
+ * submitted, each with its job's current status, and totals over the jobs
+ */
+function formatBatch(batch, jobs) {
+  const jobsById = new Map(jobs.map(job => [job.id, job]));
+
+  const jobCounts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+  const files = { total: 0, succeeded: 0, failed: 0, pending: 0, duplicates: 0 };
+
+  for (const job of jobs) {
+    jobCounts[job.status] = (jobCounts[job.status] || 0) + 1;
+    files.total += job.total_files;
+    files.succeeded += job.succeeded_files;
+    files.failed += job.failed_files;
+    files.pending += Math.max(job.total_files - job.succeeded_files - job.failed_files, 0);
+    files.duplicates += job.duplicate_files;
+  }
+
+  const status = batchStatus(jobs);
+  const finished = ['completed', 'failed', 'completed_with_errors'].includes(status) && jobs.length;
+
+  return {
+    batch_id: batch.id,
+    status,
+    counts: {
+      entries: batch.entries.length,
+      accepted: jobs.length,
+      rejected: batch.entries.filter(entry => !entry.job_id).length,
+      jobs: jobCounts,
+      files
+    },
+    entries: batch.entries.map(entry => {
+      const job = entry.job_id && jobsById.get(entry.job_id);
+      return job
+        ? { ...entry, status: job.status, error: job.error }
+        : entry;
+    }),
+    created_at: batch.created_at,
+    completed_at: finished
+      ? jobs.reduce((latest, job) => (job.completed_at > latest ? job.completed_at : latest), jobs[0].completed_at)
+      : null
+  };
+}
+
+module.exports = {
+  IMPORT_BATCH_MAX_ENTRIES,
+  formatBatch
+};
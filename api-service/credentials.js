@@ -0,0 +1,100 @@
+/**
+ * Credentials - Google Drive credentials for private folders
+ * Service-account keys and OAuth refresh tokens are encrypted (AES-256-GCM)
+ * and kept in Redis, the one store import-service and worker-service share
+ * with the API. Jobs only carry the credential ID; each service decrypts it
+ * with the same CREDENTIALS_ENCRYPTION_KEY (see shared/driveCredentials.js).
+ */
+const { google } = require('googleapis');
+const { v4: uuidv4 } = require('uuid');
+const {
+  DRIVE_CREDENTIALS_KEY,
+  encryptSecret,
+  loadDriveAuth
+} = require('../shared/driveCredentials');
+
+const CREDENTIAL_TYPES = ['service_account', 'oauth'];
+
+/**
+ * Check a credential secret has what its type needs
+ * Returns an error message, or null when it is usable
+ */
+function validateSecret(type, secret) {
+  if (!secret || typeof secret !== 'object') {
+    return 'credential secret must be a JSON object';
+  }
+
+  if (type === 'service_account') {
+    if (!secret.client_email || !secret.private_key) {
+      return 'service_account_key must be a service account JSON key with client_email and private_key';
+    }
+    return null;
+  }
+
+  if (!secret.refresh_token) {
+    return 'oauth.refresh_token is required';
+  }
+  if (!(secret.client_id || process.env.GOOGLE_OAUTH_CLIENT_ID) ||
+      !(secret.client_secret || process.env.GOOGLE_OAUTH_CLIENT_SECRET)) {
+    return 'oauth.client_id and oauth.client_secret are required when GOOGLE_OAUTH_CLIENT_ID/SECRET are not configured';
+  }
+  return null;
+}
+
+function describe(record) {
+  return {
+    credential_id: record.id,
+    type: record.type,
+    label: record.label,
+    client_email: record.client_email || null,
+    created_at: record.created_at
+  };
+}
+
+async function saveCredential(redisClient, { type, label, secret }) {
+  const record = {
+    id: uuidv4(),
+    type,
+    label: label || null,
+    // Safe to show: identifies which service account to share folders with
+    client_email: type === 'service_account' ? secret.client_email : null,
+    created_at: new Date().toISOString(),
+    data: encryptSecret(secret)
+  };
+
+  await redisClient.hSet(DRIVE_CREDENTIALS_KEY, record.id, JSON.stringify(record));
+  return describe(record);
+}
+
+async function listCredentials(redisClient) {
+  const records = await redisClient.hVals(DRIVE_CREDENTIALS_KEY);
+  return records
+    .map(record => describe(JSON.parse(record)))
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+async function getCredential(redisClient, id) {
+  const record = await redisClient.hGet(DRIVE_CREDENTIALS_KEY, id);
+  return record ? describe(JSON.parse(record)) : null;
+}
+
+async function deleteCredential(redisClient, id) {
+  return (await redisClient.hDel(DRIVE_CREDENTIALS_KEY, id)) > 0;
+}
+
+/**
+ * Build a googleapis auth client from a stored credential
+ */
+async function getDriveAuth(redisClient, id) {
+  return loadDriveAuth(redisClient, google, id);
+}
+
+module.exports = {
+  CREDENTIAL_TYPES,
+  validateSecret,
+  saveCredential,
+  listCredentials,
+  getCredential,
+  deleteCredential,
+  getDriveAuth
+};
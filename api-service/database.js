@@ -14,22 +14,182 @@ async function initDatabase() {
       dropbox_id VARCHAR(255),
       size BIGINT NOT NULL,
       mime_type VARCHAR(100) NOT NULL,
-      storage_path TEXT UNIQUE NOT NULL,
+      storage_path TEXT NOT NULL,
       source VARCHAR(50) NOT NULL,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     );
   `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS import_jobs (
+      id VARCHAR(36) PRIMARY KEY,
+      source VARCHAR(50) NOT NULL,
+      folder_id VARCHAR(255),
+      folder_url TEXT,
+      status VARCHAR(20) NOT NULL DEFAULT 'queued',
+      total_files INTEGER NOT NULL DEFAULT 0,
+      succeeded_files INTEGER NOT NULL DEFAULT 0,
+      failed_files INTEGER NOT NULL DEFAULT 0,
+      error TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      started_at TIMESTAMP,
+      listed_at TIMESTAMP,
+      completed_at TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS import_tasks (
+      id SERIAL PRIMARY KEY,
+      job_id VARCHAR(36) NOT NULL REFERENCES import_jobs(id) ON DELETE CASCADE,
+      file_id VARCHAR(255) NOT NULL,
+      file_name VARCHAR(500),
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      storage_path TEXT,
+      error TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (job_id, file_id)
+    );
+  `);
+
+  await pool.query(`
+    ALTER TABLE import_jobs ADD COLUMN IF NOT EXISTS rollback_requested BOOLEAN NOT NULL DEFAULT FALSE;
+    ALTER TABLE import_jobs ADD COLUMN IF NOT EXISTS options JSONB NOT NULL DEFAULT '{}';
+    ALTER TABLE image_metadata ADD COLUMN IF NOT EXISTS folder_path TEXT;
+    ALTER TABLE image_metadata ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+    ALTER TABLE import_jobs ADD COLUMN IF NOT EXISTS sync_report JSONB;
+    ALTER TABLE import_jobs ADD COLUMN IF NOT EXISTS filter_report JSONB;
+    ALTER TABLE image_metadata ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64);
+    ALTER TABLE import_tasks ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64);
+    ALTER TABLE import_tasks ADD COLUMN IF NOT EXISTS duplicate_of JSONB;
+    ALTER TABLE import_jobs ADD COLUMN IF NOT EXISTS duplicate_files INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE image_metadata ADD COLUMN IF NOT EXISTS perceptual_hash VARCHAR(16);
+    ALTER TABLE image_metadata ADD COLUMN IF NOT EXISTS derivatives JSONB;
+    ALTER TABLE image_metadata ADD COLUMN IF NOT EXISTS width INTEGER;
+    ALTER TABLE image_metadata ADD COLUMN IF NOT EXISTS height INTEGER;
+    ALTER TABLE image_metadata ADD COLUMN IF NOT EXISTS orientation VARCHAR(10);
+    ALTER TABLE image_metadata ADD COLUMN IF NOT EXISTS taken_at TIMESTAMP;
+    ALTER TABLE image_metadata ADD COLUMN IF NOT EXISTS camera_make VARCHAR(255);
+    ALTER TABLE image_metadata ADD COLUMN IF NOT EXISTS camera_model VARCHAR(255);
+    ALTER TABLE image_metadata ADD COLUMN IF NOT EXISTS lens VARCHAR(255);
+    ALTER TABLE image_metadata ADD COLUMN IF NOT EXISTS exif JSONB;
+    CREATE INDEX IF NOT EXISTS image_metadata_taken_at_idx ON image_metadata (taken_at);
+  `);
+
+  // Run times are compared across api-service instances, so they carry a time zone
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS import_schedules (
+      id VARCHAR(36) PRIMARY KEY,
+      source VARCHAR(50) NOT NULL,
+      folder_id VARCHAR(255) NOT NULL,
+      folder_url TEXT NOT NULL,
+      cron_expression VARCHAR(255),
+      interval_minutes INTEGER,
+      timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+      options JSONB NOT NULL DEFAULT '{}',
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      next_run_at TIMESTAMPTZ,
+      last_run_at TIMESTAMPTZ,
+      last_job_id VARCHAR(36),
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS schedule_runs (
+      id SERIAL PRIMARY KEY,
+      schedule_id VARCHAR(36) NOT NULL REFERENCES import_schedules(id) ON DELETE CASCADE,
+      job_id VARCHAR(36) NOT NULL,
+      scheduled_for TIMESTAMPTZ NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (schedule_id, scheduled_for)
+    );
+  `);
+
+  // entries: what each submitted folder became, a job or a validation error
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS import_batches (
+      id VARCHAR(36) PRIMARY KEY,
+      entries JSONB NOT NULL DEFAULT '[]',
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+    ALTER TABLE import_jobs ADD COLUMN IF NOT EXISTS batch_id VARCHAR(36) REFERENCES import_batches(id) ON DELETE SET NULL;
+    CREATE INDEX IF NOT EXISTS import_jobs_batch_id_idx ON import_jobs (batch_id);
+  `);
+
+  // Images imported from a plain URL (source 'url') are identified by it
+  await pool.query(`
+    ALTER TABLE image_metadata ADD COLUMN IF NOT EXISTS source_url TEXT;
+    ALTER TABLE import_tasks ADD COLUMN IF NOT EXISTS source_url TEXT;
+  `);
+
+  // Stored objects are content-addressed, so files with the same content share
+  // a storage path: rows are keyed by their source file instead
+  await pool.query(`
+    ALTER TABLE image_metadata DROP CONSTRAINT IF EXISTS image_metadata_storage_path_key;
+    CREATE INDEX IF NOT EXISTS image_metadata_storage_path_idx ON image_metadata (storage_path);
+    CREATE INDEX IF NOT EXISTS image_metadata_content_hash_idx ON image_metadata (content_hash);
+    CREATE INDEX IF NOT EXISTS image_metadata_source_file_idx
+      ON image_metadata (source, google_drive_id, dropbox_id, source_url);
+  `);
 }
 
-async function getImages({ source, limit, offset }) {
+async function getImages({
+  source,
+  limit,
+  offset,
+  includeDeleted = false,
+  takenAfter = null,
+  takenBefore = null,
+  camera = null,
+  minWidth = null,
+  orientation = null
+}) {
   const params = [];
-  let where = '';
+  const conditions = [];
 
   if (source) {
     params.push(source);
-    where = `WHERE source = $${params.length}`;
+    conditions.push(`source = $${params.length}`);
+  }
+
+  if (takenAfter) {
+    params.push(takenAfter);
+    conditions.push(`taken_at >= $${params.length}`);
+  }
+
+  if (takenBefore) {
+    params.push(takenBefore);
+    conditions.push(`taken_at < $${params.length}`);
+  }
+
+  // Matches the make, the model or both ("canon", "EOS R5", "Canon EOS")
+  if (camera) {
+    params.push(`%${camera.replace(/[\\%_]/g, '\\$&')}%`);
+    conditions.push(`CONCAT_WS(' ', camera_make, camera_model) ILIKE $${params.length}`);
   }
 
+  if (minWidth) {
+    params.push(minWidth);
+    conditions.push(`width >= $${params.length}`);
+  }
+
+  if (orientation) {
+    params.push(orientation);
+    conditions.push(`orientation = $${params.length}`);
+  }
+
+  // Images tombstoned by a sync (deleted at their source) are hidden by default
+  if (!includeDeleted) {
+    conditions.push('deleted_at IS NULL');
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const filterParams = [...params];
+
   params.push(limit, offset);
 
   const { rows } = await pool.query(
@@ -39,30 +199,586 @@ async function getImages({ source, limit, offset }) {
 
   const count = await pool.query(
     `SELECT COUNT(*) FROM image_metadata ${where}`,
-    source ? [source] : []
+    filterParams
   );
 
   return { images: rows, total: count.rows[0].count };
 }
 
+async function getImage(id) {
+  const { rows } = await pool.query('SELECT * FROM image_metadata WHERE id = $1', [id]);
+  return rows[0] || null;
+}
+
+// Hamming distance between two perceptual hashes (16 hex digits = 64 bits)
+function hashDistanceSql(a, b) {
+  return `length(replace((('x' || ${a})::bit(64) # ('x' || ${b})::bit(64))::text, '0', ''))`;
+}
+
+/**
+ * Images whose perceptual hash is within `threshold` bits of `perceptualHash`, closest first
+ */
+async function findSimilarImages(perceptualHash, { excludeId = null, threshold, limit }) {
+  const { rows } = await pool.query(
+    `SELECT * FROM (
+       SELECT *, ${hashDistanceSql('perceptual_hash', '$1')} AS distance
+       FROM image_metadata
+       WHERE perceptual_hash IS NOT NULL AND deleted_at IS NULL AND id IS DISTINCT FROM $2
+     ) candidates
+     WHERE distance <= $3
+     ORDER BY distance, created_at DESC
+     LIMIT $4`,
+    [perceptualHash, excludeId, threshold, limit]
+  );
+
+  return rows;
+}
+
+/**
+ * ID and perceptual hash of every hashed image, oldest first
+ */
+async function getHashedImages() {
+  const { rows } = await pool.query(
+    `SELECT id, perceptual_hash FROM image_metadata
+     WHERE perceptual_hash IS NOT NULL AND deleted_at IS NULL
+     ORDER BY created_at, id`
+  );
+
+  return rows;
+}
+
+async function getImagesByIds(ids) {
+  if (!ids.length) return [];
+
+  const { rows } = await pool.query('SELECT * FROM image_metadata WHERE id = ANY($1)', [ids]);
+  return rows;
+}
+
+/**
+ * Save the row of one source file: a re-imported file updates its existing
+ * row, matched on the source file's ID (several rows may share a storage path)
+ */
 async function insertImageMetadata(data) {
+  const fileParams = [data.source, data.google_drive_id || null, data.dropbox_id || null, data.source_url || null];
+  const values = [data.name, data.size, data.mime_type, data.storage_path, data.folder_path || null];
+
+  if (fileParams.slice(1).some(Boolean)) {
+    const { rowCount } = await pool.query(
+      `UPDATE image_metadata
+       SET name = $5, size = $6, mime_type = $7, storage_path = $8, folder_path = $9, deleted_at = NULL
+       WHERE source = $1
+         AND google_drive_id IS NOT DISTINCT FROM $2
+         AND dropbox_id IS NOT DISTINCT FROM $3
+         AND source_url IS NOT DISTINCT FROM $4`,
+      [...fileParams, ...values]
+    );
+    if (rowCount > 0) return;
+  }
+
+  await pool.query(
+    `INSERT INTO image_metadata
+     (source, google_drive_id, dropbox_id, source_url, name, size, mime_type, storage_path, folder_path)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
+    [...fileParams, ...values]
+  );
+}
+
+async function createJob({ id, source, folder_id, folder_url, status = 'queued', options = {}, batch_id = null }, client = pool) {
+  const { rows } = await client.query(
+    `INSERT INTO import_jobs (id, source, folder_id, folder_url, status, options, batch_id)
+     VALUES ($1,$2,$3,$4,$5,$6,$7)
+     RETURNING *`,
+    [id, source, folder_id, folder_url, status, options, batch_id]
+  );
+
+  return rows[0];
+}
+
+async function getJob(id) {
+  const { rows } = await pool.query('SELECT * FROM import_jobs WHERE id = $1', [id]);
+  return rows[0] || null;
+}
+
+async function listJobs({ status, source, limit, offset }) {
+  const params = [];
+  const conditions = [];
+
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+
+  if (source) {
+    params.push(source);
+    conditions.push(`source = $${params.length}`);
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const filterParams = [...params];
+
+  params.push(limit, offset);
+
+  const { rows } = await pool.query(
+    `SELECT * FROM import_jobs ${where} ORDER BY created_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  const count = await pool.query(
+    `SELECT COUNT(*) FROM import_jobs ${where}`,
+    filterParams
+  );
+
+  return { jobs: rows, total: parseInt(count.rows[0].count, 10) };
+}
+
+async function getJobTasks(jobId, { status, duplicate = false } = {}) {
+  const params = [jobId];
+  let where = 'WHERE job_id = $1';
+
+  if (status) {
+    params.push(status);
+    where += ` AND status = $${params.length}`;
+  }
+
+  if (duplicate) {
+    where += ' AND duplicate_of IS NOT NULL';
+  }
+
+  const { rows } = await pool.query(
+    `SELECT file_id, file_name, source_url, status, storage_path, content_hash, duplicate_of, error, created_at, updated_at
+     FROM import_tasks ${where} ORDER BY id`,
+    params
+  );
+
+  return rows;
+}
+
+/**
+ * Move a job to a new status. When `from` is given the job is only updated
+ * if it is currently in one of those statuses; null is returned otherwise.
+ */
+async function updateJobStatus(jobId, status, { error = null, from = null } = {}) {
+  const timestamps = {
+    listing: 'started_at = COALESCE(started_at, NOW()),',
+    completed: 'completed_at = NOW(),',
+    failed: 'completed_at = NOW(),',
+    cancelled: 'completed_at = NOW(),'
+  };
+
+  const params = [jobId, status, error];
+  let guard = '';
+
+  if (from) {
+    params.push(from);
+    guard = `AND status = ANY($${params.length})`;
+  }
+
+  const { rows } = await pool.query(
+    `UPDATE import_jobs
+     SET status = $2, error = COALESCE($3, error), ${timestamps[status] || ''} updated_at = NOW()
+     WHERE id = $1 ${guard}
+     RETURNING *`,
+    params
+  );
+
+  return rows[0] || null;
+}
+
+/**
+ * Cancel a job that has not finished yet. Files that were never processed
+ * are marked cancelled; `rollback` records that stored files must be removed.
+ */
+async function cancelJob(jobId, { rollback = false } = {}) {
+  const { rows } = await pool.query(
+    `UPDATE import_jobs
+     SET status = 'cancelled', rollback_requested = $2, completed_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status IN ('queued', 'listing', 'downloading', 'paused')
+     RETURNING *`,
+    [jobId, rollback]
+  );
+
+  if (!rows[0]) return null;
+
+  await cancelPendingTasks(jobId);
+  return rows[0];
+}
+
+async function cancelPendingTasks(jobId) {
   await pool.query(
-    `INSERT INTO image_metadata 
-     (name, google_drive_id, dropbox_id, size, mime_type, storage_path, source)
-     VALUES ($1,$2,$3,$4,$5,$6,$7)`,
-    [
-      data.name,
-      data.google_drive_id,
-      data.dropbox_id,
-      data.size,
-      data.mime_type,
-      data.storage_path,
-      data.source
-    ]
-  );
-}
-
-module.exports = { initDatabase, getImages, insertImageMetadata };
+    `UPDATE import_tasks SET status = 'cancelled', updated_at = NOW()
+     WHERE job_id = $1 AND status = 'pending'`,
+    [jobId]
+  );
+}
+
+/**
+ * Resume a paused job where it left off: back to queued if its folder was
+ * never listed, otherwise back to downloading
+ */
+async function resumeJob(jobId) {
+  const { rows } = await pool.query(
+    `UPDATE import_jobs
+     SET status = CASE WHEN listed_at IS NULL THEN 'queued' ELSE 'downloading' END, updated_at = NOW()
+     WHERE id = $1 AND status = 'paused'
+     RETURNING *`,
+    [jobId]
+  );
+
+  if (!rows[0]) return null;
+
+  return (await completeJobIfFinished(jobId)) || rows[0];
+}
+
+/**
+ * Put a finished job back in progress because some of its work was queued
+ * again (a dead-lettered folder job or image task). Returns the job, or null
+ * if it had not finished or was cancelled.
+ */
+async function reopenJob(jobId, status) {
+  const { rows } = await pool.query(
+    `UPDATE import_jobs
+     SET status = $2, error = NULL, completed_at = NULL, updated_at = NOW()
+     WHERE id = $1 AND status IN ('completed', 'failed')
+     RETURNING *`,
+    [jobId, status]
+  );
+
+  return rows[0] || null;
+}
+
+/**
+ * Record the files found in a job's source folder as pending tasks and
+ * move the job on to downloading (or straight to completed if it is empty).
+ * Sync jobs also record what was unchanged or deleted at the source, and
+ * jobs with filters or limits what those left out.
+ */
+async function recordJobListing(jobId, files, syncReport = null, filterReport = null) {
+  for (const file of files) {
+    await pool.query(
+      `INSERT INTO import_tasks (job_id, file_id, file_name, source_url)
+       VALUES ($1,$2,$3,$4)
+       ON CONFLICT (job_id, file_id) DO NOTHING`,
+      [jobId, file.file_id, file.file_name, file.source_url || null]
+    );
+  }
+
+  // A paused or cancelled job keeps its status, it only learns its file list
+  const { rows } = await pool.query(
+    `UPDATE import_jobs
+     SET status = CASE WHEN status IN ('paused', 'cancelled') THEN status ELSE 'downloading' END,
+         total_files = $2, sync_report = $3, filter_report = $4, listed_at = NOW(),
+         started_at = COALESCE(started_at, NOW()), updated_at = NOW()
+     WHERE id = $1
+     RETURNING status`,
+    [jobId, files.length, syncReport, filterReport]
+  );
+
+  if (rows[0] && rows[0].status === 'cancelled') {
+    await cancelPendingTasks(jobId);
+  }
+
+  return completeJobIfFinished(jobId);
+}
+
+/**
+ * Set the outcome of a single file and keep the job counters in step.
+ * A task may be reported more than once (e.g. a retried file), so the
+ * counters are moved from the previous status rather than only incremented.
+ * `duplicate_of` names the stored file whose content a succeeded file shares.
+ */
+async function recordTaskResult(jobId, fileId, {
+  status,
+  file_name = null,
+  storage_path = null,
+  content_hash = null,
+  duplicate_of = null,
+  error = null
+}) {
+  await pool.query(
+    `INSERT INTO import_tasks (job_id, file_id, file_name)
+     VALUES ($1,$2,$3)
+     ON CONFLICT (job_id, file_id) DO NOTHING`,
+    [jobId, fileId, file_name]
+  );
+
+  const { rows } = await pool.query(
+    `UPDATE import_tasks t
+     SET status = $3, storage_path = COALESCE($4, t.storage_path),
+         content_hash = COALESCE($5, t.content_hash), duplicate_of = $6, error = $7, updated_at = NOW()
+     FROM (SELECT id, status, duplicate_of FROM import_tasks WHERE job_id = $1 AND file_id = $2 FOR UPDATE) prev
+     WHERE t.id = prev.id
+     RETURNING prev.status AS previous_status, prev.duplicate_of IS NOT NULL AS was_duplicate`,
+    [jobId, fileId, status, storage_path, content_hash, duplicate_of, error]
+  );
+
+  const previous = rows[0] ? rows[0].previous_status : 'pending';
+  const delta = { succeeded: 0, failed: 0, duplicates: 0 };
+
+  if (previous in delta) delta[previous] -= 1;
+  if (status in delta) delta[status] += 1;
+  if (rows[0] && rows[0].was_duplicate) delta.duplicates -= 1;
+  if (duplicate_of) delta.duplicates += 1;
+
+  await pool.query(
+    `UPDATE import_jobs
+     SET succeeded_files = succeeded_files + $2, failed_files = failed_files + $3,
+         duplicate_files = duplicate_files + $4, updated_at = NOW()
+     WHERE id = $1`,
+    [jobId, delta.succeeded, delta.failed, delta.duplicates]
+  );
+
+  return completeJobIfFinished(jobId);
+}
+
+async function completeJobIfFinished(jobId) {
+  const { rows } = await pool.query(
+    `UPDATE import_jobs
+     SET status = 'completed', completed_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'downloading' AND succeeded_files + failed_files >= total_files
+     RETURNING *`,
+    [jobId]
+  );
+
+  return rows[0] || null;
+}
+
+async function deleteImagesByStoragePath(storagePaths) {
+  if (!storagePaths.length) return 0;
+
+  const { rowCount } = await pool.query(
+    'DELETE FROM image_metadata WHERE storage_path = ANY($1)',
+    [storagePaths]
+  );
+
+  return rowCount;
+}
+
+async function createSchedule({ id, source, folder_id, folder_url, cron_expression, interval_minutes, timezone, options, enabled, next_run_at }) {
+  const { rows } = await pool.query(
+    `INSERT INTO import_schedules
+     (id, source, folder_id, folder_url, cron_expression, interval_minutes, timezone, options, enabled, next_run_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+     RETURNING *`,
+    [id, source, folder_id, folder_url, cron_expression, interval_minutes, timezone, options, enabled, next_run_at]
+  );
+
+  return rows[0];
+}
+
+async function getSchedule(id) {
+  const { rows } = await pool.query('SELECT * FROM import_schedules WHERE id = $1', [id]);
+  return rows[0] || null;
+}
+
+async function listSchedules({ source, enabled, limit, offset }) {
+  const params = [];
+  const conditions = [];
+
+  if (source) {
+    params.push(source);
+    conditions.push(`source = $${params.length}`);
+  }
+
+  if (enabled !== null && enabled !== undefined) {
+    params.push(enabled);
+    conditions.push(`enabled = $${params.length}`);
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const filterParams = [...params];
+
+  params.push(limit, offset);
+
+  const { rows } = await pool.query(
+    `SELECT * FROM import_schedules ${where} ORDER BY created_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  const count = await pool.query(
+    `SELECT COUNT(*) FROM import_schedules ${where}`,
+    filterParams
+  );
+
+  return { schedules: rows, total: parseInt(count.rows[0].count, 10) };
+}
+
+const UPDATABLE_SCHEDULE_COLUMNS = [
+  'folder_id', 'folder_url', 'cron_expression', 'interval_minutes', 'timezone', 'options', 'enabled', 'next_run_at'
+];
+
+async function updateSchedule(id, changes) {
+  const params = [id];
+  const sets = [];
+
+  for (const column of UPDATABLE_SCHEDULE_COLUMNS) {
+    if (column in changes) {
+      params.push(changes[column]);
+      sets.push(`${column} = $${params.length}`);
+    }
+  }
+
+  const { rows } = await pool.query(
+    `UPDATE import_schedules SET ${[...sets, 'updated_at = NOW()'].join(', ')}
+     WHERE id = $1
+     RETURNING *`,
+    params
+  );
+
+  return rows[0] || null;
+}
+
+async function deleteSchedule(id) {
+  const { rowCount } = await pool.query('DELETE FROM import_schedules WHERE id = $1', [id]);
+  return rowCount > 0;
+}
+
+/**
+ * Claim schedules that are due and record their runs.
+ * Rows are locked with SKIP LOCKED and moved to their next run time in the
+ * same transaction, so when several instances poll at once each run is
+ * claimed by only one of them. `planRun(schedule)` returns { jobId, nextRunAt }.
+ * Returns [{ schedule, job }] for the runs to enqueue.
+ */
+async function claimDueSchedules(limit, planRun) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(
+      `SELECT * FROM import_schedules
+       WHERE enabled AND next_run_at <= NOW()
+       ORDER BY next_run_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED`,
+      [limit]
+    );
+
+    const runs = [];
+
+    for (const schedule of rows) {
+      const { jobId, nextRunAt } = planRun(schedule);
+
+      const job = await createJob({
+        id: jobId,
+        source: schedule.source,
+        folder_id: schedule.folder_id,
+        folder_url: schedule.folder_url,
+        options: { ...schedule.options, schedule_id: schedule.id }
+      }, client);
+
+      await client.query(
+        `INSERT INTO schedule_runs (schedule_id, job_id, scheduled_for) VALUES ($1,$2,$3)`,
+        [schedule.id, jobId, schedule.next_run_at]
+      );
+
+      await client.query(
+        `UPDATE import_schedules
+         SET next_run_at = $2, last_run_at = NOW(), last_job_id = $3, updated_at = NOW()
+         WHERE id = $1`,
+        [schedule.id, nextRunAt, jobId]
+      );
+
+      runs.push({ schedule, job });
+    }
+
+    await client.query('COMMIT');
+    return runs;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function listScheduleRuns(scheduleId, { limit = 20 } = {}) {
+  const { rows } = await pool.query(
+    `SELECT r.job_id, r.scheduled_for, r.created_at, j.status
+     FROM schedule_runs r LEFT JOIN import_jobs j ON j.id = r.job_id
+     WHERE r.schedule_id = $1
+     ORDER BY r.scheduled_for DESC
+     LIMIT $2`,
+    [scheduleId, limit]
+  );
+
+  return rows;
+}
+
+/**
+ * Record a batch and the jobs of its accepted entries in one transaction
+ *
+ * @param jobs rows for createJob
+ * @param entries { index, source, folder_url, job_id } or { index, source, folder_url, error }
+ */
+async function createBatch({ id, jobs, entries }) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(
+      `INSERT INTO import_batches (id, entries) VALUES ($1,$2) RETURNING *`,
+      [id, JSON.stringify(entries)]
+    );
+
+    for (const job of jobs) {
+      await createJob({ ...job, batch_id: id }, client);
+    }
+
+    await client.query('COMMIT');
+    return rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function getBatch(id) {
+  const { rows } = await pool.query('SELECT * FROM import_batches WHERE id = $1', [id]);
+  return rows[0] || null;
+}
+
+async function getBatchJobs(batchId) {
+  const { rows } = await pool.query(
+    'SELECT * FROM import_jobs WHERE batch_id = $1 ORDER BY created_at',
+    [batchId]
+  );
+  return rows;
+}
+
+module.exports = {
+  initDatabase,
+  getImages,
+  getImage,
+  findSimilarImages,
+  getHashedImages,
+  getImagesByIds,
+  insertImageMetadata,
+  deleteImagesByStoragePath,
+  createJob,
+  getJob,
+  listJobs,
+  getJobTasks,
+  updateJobStatus,
+  cancelJob,
+  resumeJob,
+  reopenJob,
+  recordJobListing,
+  recordTaskResult,
+  createSchedule,
+  getSchedule,
+  listSchedules,
+  updateSchedule,
+  deleteSchedule,
+  claimDueSchedules,
+  listScheduleRuns,
+  createBatch,
+  getBatch,
+  getBatchJobs
+};
 
 
 
@@ -0,0 +1,60 @@
+/**
+ * Download Tokens - Signed, expiring links to stored originals
+ * The API has no user accounts, so GET /images/:id/download and
+ * GET /images/:id/url only serve an image to whoever holds a token for it:
+ * an expiry time and an HMAC of the image ID and that time, signed with
+ * DOWNLOAD_URL_SECRET. Image listings hand out download_url with a token,
+ * so IDs can't simply be counted through.
+ */
+const crypto = require('crypto');
+
+// How long a download_url from an image listing stays valid
+const DOWNLOAD_URL_TTL_SECONDS = parseInt(process.env.DOWNLOAD_URL_TTL_SECONDS || '3600');
+
+// Every instance must share it, and keep it across restarts, or the links
+// handed out by one would be refused by the others
+const secret = process.env.DOWNLOAD_URL_SECRET;
+if (!secret) {
+  throw new Error('DOWNLOAD_URL_SECRET is not set. Download links cannot be signed.');
+}
+
+function sign(imageId, expires) {
+  return crypto.createHmac('sha256', secret).update(`${imageId}:${expires}`).digest('hex');
+}
+
+/**
+ * Query parameters ({ expires, signature }) granting access to an image for
+ * `ttlSeconds`, or until `expires` (Unix seconds) when given
+ */
+function downloadToken(imageId, { ttlSeconds = DOWNLOAD_URL_TTL_SECONDS, expires = null } = {}) {
+  const expiresAt = expires || Math.floor(Date.now() / 1000) + ttlSeconds;
+  return { expires: expiresAt, signature: sign(imageId, expiresAt) };
+}
+
+/**
+ * Check the token in a request's query. Returns an error message, or null
+ * when it grants access to the image.
+ */
+function checkDownloadToken(imageId, { expires, signature }) {
+  if (!expires || !signature) {
+    return 'A signed link is required: use the download_url of the image';
+  }
+
+  const expiresAt = parseInt(expires);
+  if (!(expiresAt > Date.now() / 1000)) {
+    return 'This link has expired: fetch the image again for a new download_url';
+  }
+
+  const expected = Buffer.from(sign(imageId, expiresAt), 'hex');
+  const given = Buffer.from(String(signature), 'hex');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return 'Invalid link signature';
+  }
+
+  return null;
+}
+
+module.exports = {
+  downloadToken,
+  checkDownloadToken
+};
@@ -0,0 +1,121 @@
+/**
+ * Duplicates - Groups near-identical images by perceptual hash
+ * worker-service stores a 64-bit dHash per image; two images are near
+ * duplicates when their hashes differ in at most `threshold` bits.
+ */
+
+// Bits set in a 32-bit integer
+function popcount32(n) {
+  n = n - ((n >>> 1) & 0x55555555);
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return Math.imul((n + (n >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+}
+
+// A 16 hex digit hash as two 32-bit halves, so distances need no BigInt
+function splitHash(hash) {
+  return [parseInt(hash.slice(0, 8), 16), parseInt(hash.slice(8, 16), 16)];
+}
+
+function hammingDistance(a, b) {
+  const [aHigh, aLow] = splitHash(a);
+  const [bHigh, bLow] = splitHash(b);
+  return popcount32(aHigh ^ bHigh) + popcount32(aLow ^ bLow);
+}
+
+// Let other requests run between batches of comparisons
+const COMPARISONS_PER_TURN = 20000;
+
+// A hash's 64 bits as a string of 0s and 1s
+function hashBits(hash) {
+  return [...hash].map(digit => parseInt(digit, 16).toString(2).padStart(4, '0')).join('');
+}
+
+/**
+ * Split a hash into `count` bands of (nearly) equal width. Two hashes at most
+ * count - 1 bits apart agree on at least one whole band, so images that
+ * share no band need not be compared at all.
+ */
+function hashBands(hash, count) {
+  const bits = hashBits(hash);
+  const bands = [];
+  for (let band = 0; band < count; band++) {
+    const start = Math.floor((band * 64) / count);
+    const end = Math.floor(((band + 1) * 64) / count);
+    bands.push(`${band}:${bits.slice(start, end)}`);
+  }
+  return bands;
+}
+
+/**
+ * Group images into clusters of near duplicates. Clusters are transitive:
+ * A and C share a cluster when both are close to B, even if they are not
+ * close to each other. Only images sharing a hash band are compared, and the
+ * work yields to the event loop between batches.
+ *
+ * @param images [{ id, perceptual_hash }], oldest first
+ * @returns clusters, largest first, of [{ id, distance }] where distance is
+ *   to the first (oldest) image of the cluster. Images without a near
+ *   duplicate are left out.
+ */
+async function clusterImages(images, threshold) {
+  const hashes = images.map(image => splitHash(image.perceptual_hash));
+  const parent = images.map((_, i) => i);
+
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  const buckets = new Map(); // band value -> image indexes
+  images.forEach((image, i) => {
+    for (const band of hashBands(image.perceptual_hash, threshold + 1)) {
+      if (!buckets.has(band)) buckets.set(band, []);
+      buckets.get(band).push(i);
+    }
+  });
+
+  let comparisons = 0;
+  for (const members of buckets.values()) {
+    for (let a = 0; a < members.length; a++) {
+      for (let b = a + 1; b < members.length; b++) {
+        const i = members[a];
+        const j = members[b];
+        const rootI = find(i);
+        const rootJ = find(j);
+        if (rootI === rootJ) continue;
+
+        if (++comparisons % COMPARISONS_PER_TURN === 0) {
+          await new Promise(resolve => setImmediate(resolve));
+        }
+
+        const distance = popcount32(hashes[i][0] ^ hashes[j][0]) + popcount32(hashes[i][1] ^ hashes[j][1]);
+        if (distance > threshold) continue;
+
+        // Keep the older image as root so it leads its cluster
+        parent[Math.max(rootI, rootJ)] = Math.min(rootI, rootJ);
+      }
+    }
+  }
+
+  const clusters = new Map(); // root index -> member indexes
+  images.forEach((_, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(i);
+  });
+
+  return [...clusters.entries()]
+    .filter(([, members]) => members.length > 1)
+    .map(([root, members]) => members.map(i => ({
+      id: images[i].id,
+      distance: hammingDistance(images[root].perceptual_hash, images[i].perceptual_hash)
+    })))
+    .sort((a, b) => b.length - a.length);
+}
+
+module.exports = {
+  clusterImages
+};
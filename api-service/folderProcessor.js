@@ -6,16 +6,28 @@ require('dotenv').config();
 
 const { google } = require('googleapis');
 const db = require('./database');
+const { applyJobEvent } = require('./jobEvents');
+const { applyImportFilters } = require('../shared/importFilters');
 
 const GOOGLE_DRIVE_API_KEY = process.env.GOOGLE_DRIVE_API_KEY || '';
+const PAUSE_POLL_MS = 5000;
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const SHORTCUT_MIME_TYPE = 'application/vnd.google-apps.shortcut';
+const MAX_FOLDER_DEPTH = parseInt(process.env.MAX_FOLDER_DEPTH || '10');
 
 /**
  * Google Drive Client for listing and downloading files
  */
 class GoogleDriveProcessor {
-  constructor() {
+  /**
+   * @param auth optional googleapis auth client for private folders;
+   *             public folders use GOOGLE_DRIVE_API_KEY
+   */
+  constructor(auth = null) {
     this.drive = null;
-    if (GOOGLE_DRIVE_API_KEY) {
+    if (auth) {
+      this.drive = google.drive({ version: 'v3', auth });
+    } else if (GOOGLE_DRIVE_API_KEY) {
       try {
         this.drive = google.drive({
           version: 'v3',
@@ -27,28 +39,71 @@ class GoogleDriveProcessor {
     }
   }
 
-  async listFilesInFolder(folderId) {
+  /**
+   * List image files in a folder, walking subfolders and folder shortcuts
+   * up to `maxDepth` levels when `recursive` is set
+   */
+  async listFilesInFolder(folderId, { recursive = false, maxDepth = MAX_FOLDER_DEPTH } = {}) {
     if (!this.drive) {
       throw new Error('Google Drive API key not configured');
     }
 
     const files = [];
-    let pageToken = null;
-
-    do {
-      const response = await this.drive.files.list({
-        q: `'${folderId}' in parents and mimeType contains 'image/' and trashed=false`,
-        fields: 'nextPageToken, files(id, name, mimeType, size)',
-        pageToken: pageToken,
-        supportsAllDrives: true,
-        includeItemsFromAllDrives: true
-      });
+    const seenFiles = new Set();
+    const visitedFolders = new Set([folderId]);
+    const pendingFolders = [{ id: folderId, path: '', depth: 0 }];
+
+    const typeFilter = recursive
+      ? `(mimeType contains 'image/' or mimeType = '${FOLDER_MIME_TYPE}' or mimeType = '${SHORTCUT_MIME_TYPE}')`
+      : `mimeType contains 'image/'`;
+
+    while (pendingFolders.length) {
+      const folder = pendingFolders.shift();
+      let pageToken = null;
+
+      do {
+        const response = await this.drive.files.list({
+          q: `'${folder.id}' in parents and ${typeFilter} and trashed=false`,
+          fields: 'nextPageToken, files(id, name, mimeType, size, modifiedTime, shortcutDetails)',
+          pageToken: pageToken,
+          supportsAllDrives: true,
+          includeItemsFromAllDrives: true
+        });
+
+        for (const child of response.data.files || []) {
+          const isShortcut = child.mimeType === SHORTCUT_MIME_TYPE && child.shortcutDetails;
+          const id = isShortcut ? child.shortcutDetails.targetId : child.id;
+          const mimeType = isShortcut ? child.shortcutDetails.targetMimeType : child.mimeType;
+
+          if (mimeType === FOLDER_MIME_TYPE) {
+            // Shortcuts and multi-parent folders can form cycles
+            if (!recursive || visitedFolders.has(id) || folder.depth + 1 > maxDepth) continue;
+
+            visitedFolders.add(id);
+            const name = child.name.replace(/\//g, '_');
+            pendingFolders.push({
+              id,
+              path: folder.path ? `${folder.path}/${name}` : name,
+              depth: folder.depth + 1
+            });
+          } else if (mimeType && mimeType.startsWith('image/') && !seenFiles.has(id)) {
+            seenFiles.add(id);
+            files.push({
+              id,
+              name: child.name,
+              mimeType,
+              size: child.size,
+              modifiedTime: child.modifiedTime,
+              folderPath: folder.path
+            });
+          }
+        }
 
-      files.push(...(response.data.files || []));
-      pageToken = response.data.nextPageToken;
-    } while (pageToken);
+        pageToken = response.data.nextPageToken;
+      } while (pageToken);
+    }
 
-    return files.filter(f => f.mimeType && f.mimeType.startsWith('image/'));
+    return files;
   }
 
   async getFileMetadata(fileId) {
@@ -82,23 +137,78 @@ class GoogleDriveProcessor {
   }
 }
 
+/**
+ * Record job progress, never letting a tracking failure abort the import
+ */
+async function trackJob(event) {
+  if (!event.job_id) return;
+
+  try {
+    await applyJobEvent(event);
+  } catch (error) {
+    console.error(`Failed to record ${event.type} for job ${event.job_id}:`, error.message);
+  }
+}
+
+/**
+ * Wait out a pause and return the job's current status
+ * (null when the import isn't tracked)
+ */
+async function waitWhilePaused(jobId) {
+  if (!jobId) return null;
+
+  let job = await db.getJob(jobId);
+  while (job && job.status === 'paused') {
+    await new Promise(resolve => setTimeout(resolve, PAUSE_POLL_MS));
+    job = await db.getJob(jobId);
+  }
+
+  return job ? job.status : null;
+}
+
 /**
  * Process Google Drive folder and save images to database
  */
-async function processGoogleDriveFolder(folderId, folderUrl) {
-  const processor = new GoogleDriveProcessor();
+async function processGoogleDriveFolder(folderId, folderUrl, jobId = null, options = {}, driveAuth = null) {
+  const processor = new GoogleDriveProcessor(driveAuth);
   
   console.log(`Processing Google Drive folder: ${folderId}`);
+  await trackJob({ type: 'job_started', job_id: jobId });
   
   // List files in folder
-  const files = await processor.listFilesInFolder(folderId);
+  let files;
+  try {
+    files = await processor.listFilesInFolder(folderId, {
+      recursive: options.recursive === true,
+      maxDepth: Math.min(options.max_depth || MAX_FOLDER_DEPTH, MAX_FOLDER_DEPTH)
+    });
+  } catch (error) {
+    await trackJob({ type: 'job_failed', job_id: jobId, error: error.message });
+    throw error;
+  }
   console.log(`Found ${files.length} images in folder`);
+
+  const filtered = applyImportFilters(files, options.filters);
+  files = filtered.files;
+
+  await trackJob({
+    type: 'folder_listed',
+    job_id: jobId,
+    files: files.map(file => ({ file_id: file.id, file_name: file.name })),
+    filtered: filtered.report
+  });
   
   let successCount = 0;
   let errorCount = 0;
   
   // Process each file (no downloads - just metadata, completely free!)
   for (const file of files) {
+    // Honour pause/cancel requests made through the API between files
+    if (await waitWhilePaused(jobId) === 'cancelled') {
+      console.log(`Job ${jobId} cancelled, stopping folder processing`);
+      break;
+    }
+
     try {
       console.log(`Processing: ${file.name}`);
       
@@ -116,14 +226,31 @@ async function processGoogleDriveFolder(folderId, folderUrl) {
         size: metadata.size || file.size || 0,
         mime_type: metadata.mimeType || file.mimeType || 'image/jpeg',
         storage_path: storagePath,
+        folder_path: file.folderPath || null,
         source: 'google_drive'
       });
       
       console.log(`Saved: ${file.name}`);
       successCount++;
+
+      await trackJob({
+        type: 'file_stored',
+        job_id: jobId,
+        file_id: file.id,
+        file_name: file.name,
+        storage_path: storagePath
+      });
     } catch (error) {
       console.error(`Error processing ${file.name}:`, error.message);
       errorCount++;
+
+      await trackJob({
+        type: 'file_failed',
+        job_id: jobId,
+        file_id: file.id,
+        file_name: file.name,
+        error: error.message
+      });
     }
   }
   
@@ -0,0 +1,101 @@
+/**
+ * Idempotency - Idempotency-Key support for the import endpoints
+ * A client that retries a request with the same key gets the response of the
+ * first one instead of a second import. Keys live in Redis, so a retry is
+ * recognised whichever api-service instance it reaches.
+ */
+const crypto = require('crypto');
+
+const IDEMPOTENCY_PREFIX = 'idempotency:'; // String per endpoint and key: stored request/response
+const MAX_KEY_LENGTH = 255;
+// How long a key's response is replayed
+const IDEMPOTENCY_KEY_TTL_SECONDS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_SECONDS || '86400');
+// A request still running holds its key for at most this long (dry runs
+// can take minutes), so a key is not blocked for the whole window when an
+// instance dies mid-request
+const PENDING_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * JSON with object keys sorted, so bodies that differ only in key order match
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Hash of a request's method, path and body, taken before validation
+ * rewrites the body
+ */
+function requestFingerprint(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.path}\n${canonicalJson(req.body || {})}`)
+    .digest('hex');
+}
+
+function validateIdempotencyKey(key) {
+  if (!key.length || key.length > MAX_KEY_LENGTH) {
+    return `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`;
+  }
+  return null;
+}
+
+function storageKey(endpoint, key) {
+  return `${IDEMPOTENCY_PREFIX}${endpoint}:${key}`;
+}
+
+/**
+ * Claim a key of `endpoint` for a request (see requestFingerprint). Returns
+ * null when the key is new and the request should run, otherwise what was
+ * stored for it: { state: 'pending' | 'completed', fingerprint, status?, body? }.
+ */
+async function claimIdempotencyKey(redisClient, endpoint, key, fingerprint) {
+  const record = {
+    state: 'pending',
+    fingerprint,
+    created_at: new Date().toISOString()
+  };
+
+  const claimed = await redisClient.set(storageKey(endpoint, key), JSON.stringify(record), {
+    NX: true,
+    PX: PENDING_TTL_MS
+  });
+  if (claimed) return null;
+
+  const stored = await redisClient.get(storageKey(endpoint, key));
+  // Expired between the two calls: try again
+  return stored ? JSON.parse(stored) : claimIdempotencyKey(redisClient, endpoint, key, fingerprint);
+}
+
+/**
+ * Keep the response of a successful request for replay
+ */
+async function completeIdempotencyKey(redisClient, endpoint, key, fingerprint, status, body) {
+  await redisClient.set(storageKey(endpoint, key), JSON.stringify({
+    state: 'completed',
+    fingerprint,
+    status,
+    body,
+    completed_at: new Date().toISOString()
+  }), { EX: IDEMPOTENCY_KEY_TTL_SECONDS });
+}
+
+/**
+ * Free a key whose request failed, so the client can retry with it
+ */
+async function releaseIdempotencyKey(redisClient, endpoint, key) {
+  await redisClient.del(storageKey(endpoint, key));
+}
+
+module.exports = {
+  requestFingerprint,
+  validateIdempotencyKey,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey
+};
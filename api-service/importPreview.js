@@ -0,0 +1,90 @@
+/**
+ * Import Preview - Dry runs of folder imports
+ * import-service lists the folder with the clients, filters and stored-file
+ * comparison it uses for real imports and publishes the reply on a channel of
+ * the request's own, so the preview matches what the import would do.
+ * Nothing is queued for workers and no job is recorded.
+ */
+const { v4: uuidv4 } = require('uuid');
+
+const IMPORT_PREVIEW_QUEUE = 'import_preview_queue';
+const IMPORT_PREVIEW_REPLY_CHANNEL = 'import_preview_reply'; // Pub/sub channel prefix, one channel per preview
+// Listing a large folder takes a while; import-service drops requests older than this
+const IMPORT_PREVIEW_TIMEOUT_MS = parseInt(process.env.IMPORT_PREVIEW_TIMEOUT_MS || '120000');
+// Previews this instance waits for at once; further ones are turned away
+// rather than piling up behind a slow import-service
+const IMPORT_PREVIEW_MAX_IN_FLIGHT = parseInt(process.env.IMPORT_PREVIEW_MAX_IN_FLIGHT || '10');
+
+// One connection receives the replies of every preview this instance waits for
+let subscriber = null;
+let inFlight = 0;
+
+async function getSubscriber(redisClient) {
+  if (!subscriber) {
+    const client = redisClient.duplicate();
+    client.on('error', (err) => console.error('Import preview subscriber error', err));
+    subscriber = client.connect().then(() => client).catch((error) => {
+      subscriber = null;
+      throw error;
+    });
+  }
+  return subscriber;
+}
+
+/**
+ * Ask import-service for a preview of `jobData` (a folder job message) and
+ * wait for it. Returns { preview } or { error, permanent }, { error, busy }
+ * when this instance already waits for IMPORT_PREVIEW_MAX_IN_FLIGHT previews,
+ * or null when no import-service answered in time.
+ */
+async function requestImportPreview(redisClient, jobData) {
+  if (inFlight >= IMPORT_PREVIEW_MAX_IN_FLIGHT) {
+    return { error: `${IMPORT_PREVIEW_MAX_IN_FLIGHT} previews are already running; try again later`, busy: true };
+  }
+
+  inFlight++;
+  try {
+    const previewId = uuidv4();
+    const channel = `${IMPORT_PREVIEW_REPLY_CHANNEL}:${previewId}`;
+    const client = await getSubscriber(redisClient);
+
+    let listener;
+    const reply = new Promise((resolve) => {
+      listener = (message) => {
+        try {
+          resolve(JSON.parse(message));
+        } catch (error) {
+          resolve({ error: `Invalid preview reply: ${error.message}` });
+        }
+      };
+    });
+
+    // Subscribed before the request goes out, so the reply can't be missed
+    await client.subscribe(channel, listener);
+
+    let timer;
+    try {
+      await redisClient.rPush(IMPORT_PREVIEW_QUEUE, JSON.stringify({
+        ...jobData,
+        preview_id: previewId,
+        reply_to: channel,
+        expires_at: Date.now() + IMPORT_PREVIEW_TIMEOUT_MS
+      }));
+
+      const timeout = new Promise((resolve) => {
+        timer = setTimeout(() => resolve(null), IMPORT_PREVIEW_TIMEOUT_MS);
+      });
+      return await Promise.race([reply, timeout]);
+    } finally {
+      clearTimeout(timer);
+      await client.unsubscribe(channel, listener);
+    }
+  } finally {
+    inFlight--;
+  }
+}
+
+module.exports = {
+  IMPORT_PREVIEW_TIMEOUT_MS,
+  requestImportPreview
+};
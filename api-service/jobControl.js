@@ -0,0 +1,132 @@
+/**
+ * Job Control - Pause, resume and cancel running imports
+ * The job status lives in the database, but import-service and worker-service
+ * can only see Redis, so each control action also sets a control key they
+ * check before expanding a folder or processing a task. Work picked up while
+ * a job is paused is parked on a per-job list until the job is resumed.
+ */
+const db = require('./database');
+const { JOB_CONTROL_PREFIX, JOB_PARKED_PREFIX, resumeParkedItems } = require('../shared/jobParking');
+const { encodeTask } = require('../shared/reliableQueue');
+
+const IMAGE_TASK_QUEUE = 'image_task_queue';
+const JOB_CONTROL_TTL = 7 * 24 * 60 * 60; // seconds
+
+const ACTIVE_JOB_STATUSES = ['queued', 'listing', 'downloading'];
+
+function useQueue() {
+  return process.env.ENABLE_QUEUE_WORKER === 'true';
+}
+
+async function setJobControl(redisClient, jobId, control) {
+  await redisClient.set(`${JOB_CONTROL_PREFIX}${jobId}`, JSON.stringify(control), {
+    EX: JOB_CONTROL_TTL
+  });
+}
+
+/**
+ * Pause a running job. Returns the updated job, or null if it was not running.
+ */
+async function pauseJob(redisClient, jobId) {
+  if (useQueue()) {
+    await setJobControl(redisClient, jobId, { state: 'paused' });
+  }
+
+  const job = await db.updateJobStatus(jobId, 'paused', { from: ACTIVE_JOB_STATUSES });
+
+  if (!job && useQueue()) {
+    // Nothing to pause, don't leave the workers parking its tasks
+    await redisClient.del(`${JOB_CONTROL_PREFIX}${jobId}`);
+  }
+
+  return job;
+}
+
+/**
+ * Resume a paused job and put everything parked while it was paused back on its queue
+ */
+async function resumeJob(redisClient, jobId) {
+  const job = await db.resumeJob(jobId);
+  if (!job) return null;
+
+  if (useQueue()) {
+    // Clears the flag and requeues in one step; workers that find the flag
+    // gone while parking requeue the work themselves
+    const requeued = await resumeParkedItems(redisClient, jobId);
+
+    console.log(`Resumed job ${jobId}: ${requeued} parked items requeued`);
+  }
+
+  return job;
+}
+
+/**
+ * Cancel a job. With `rollback` the files it already stored are removed again.
+ */
+async function cancelJob(redisClient, jobId, { rollback = false } = {}) {
+  if (useQueue()) {
+    await setJobControl(redisClient, jobId, { state: 'cancelled', rollback });
+  }
+
+  const job = await db.cancelJob(jobId, { rollback });
+  if (!job) {
+    if (useQueue()) await redisClient.del(`${JOB_CONTROL_PREFIX}${jobId}`);
+    return null;
+  }
+
+  if (useQueue()) {
+    await redisClient.del(`${JOB_PARKED_PREFIX}${jobId}`);
+  }
+
+  if (rollback) {
+    const storedTasks = await db.getJobTasks(jobId, { status: 'succeeded' });
+    await rollbackStoredFiles(redisClient, jobId, storedTasks);
+  }
+
+  return job;
+}
+
+/**
+ * Remove the objects and metadata written for the given tasks.
+ * With background workers the worker that owns the bucket does the removal;
+ * in synchronous mode only metadata was written, so it is deleted here.
+ */
+async function rollbackStoredFiles(redisClient, jobId, tasks) {
+  if (!tasks.length) return;
+
+  if (useQueue()) {
+    const job = await db.getJob(jobId);
+
+    for (const task of tasks) {
+      await redisClient.rPush(IMAGE_TASK_QUEUE, encodeTask({
+        action: 'rollback',
+        job_id: jobId,
+        source: job.source,
+        folder_id: job.folder_id,
+        file_id: task.file_id,
+        file_name: task.file_name,
+        url: task.source_url || undefined,
+        storage_path: task.storage_path
+      }));
+    }
+
+    console.log(`Queued rollback of ${tasks.length} files for job ${jobId}`);
+    return;
+  }
+
+  await db.deleteImagesByStoragePath(tasks.map(task => task.storage_path).filter(Boolean));
+
+  for (const task of tasks) {
+    await db.recordTaskResult(jobId, task.file_id, { status: 'rolled_back' });
+  }
+
+  console.log(`Rolled back ${tasks.length} files for job ${jobId}`);
+}
+
+module.exports = {
+  ACTIVE_JOB_STATUSES,
+  pauseJob,
+  resumeJob,
+  cancelJob,
+  rollbackStoredFiles
+};
@@ -0,0 +1,290 @@
+/**
+ * Job Events - Keeps import_jobs / import_tasks up to date
+ * import-service and worker-service have no database of their own for job
+ * state, so they report progress on a Redis queue and this consumer applies it.
+ * Applied events are then fanned out to live listeners (GET /jobs/:id/events).
+ */
+const EventEmitter = require('events');
+const redis = require('redis');
+const db = require('./database');
+const { rollbackStoredFiles } = require('./jobControl');
+
+const JOB_EVENTS_QUEUE = 'job_events_queue';
+const JOB_PROGRESS_CHANNEL = 'job_progress'; // Pub/sub channel prefix, one channel per job
+const QUEUE_TIMEOUT = 5; // seconds
+
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Local listeners keyed by job ID
+const jobEmitter = new EventEmitter();
+jobEmitter.setMaxListeners(0);
+
+// Set once Redis fan-out is enabled, so every api-service instance sees every event
+let publisher = null;
+
+// Client the consumer reads from, also used to queue rollbacks for late files
+let queueClient = null;
+
+/**
+ * Shape a job row (plus its failed tasks) for API responses
+ */
+function formatJob(job, failedTasks = null, duplicateTasks = null) {
+  const total = job.total_files;
+  const succeeded = job.succeeded_files;
+  const failed = job.failed_files;
+
+  const formatted = {
+    job_id: job.id,
+    status: job.status,
+    source: job.source,
+    folder_url: job.folder_url,
+    batch_id: job.batch_id || null,
+    options: job.options,
+    sync: job.sync_report || null,
+    filtered: job.filter_report || null,
+    counts: {
+      total,
+      succeeded,
+      failed,
+      pending: Math.max(total - succeeded - failed, 0),
+      duplicates: job.duplicate_files
+    },
+    error: job.error,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    listed_at: job.listed_at,
+    completed_at: job.completed_at,
+    updated_at: job.updated_at
+  };
+
+  if (failedTasks) {
+    formatted.errors = failedTasks.map(task => ({
+      file_id: task.file_id,
+      file_name: task.file_name,
+      error: task.error,
+      failed_at: task.updated_at
+    }));
+  }
+
+  // Stored files whose content was already stored for another source file
+  if (duplicateTasks) {
+    formatted.duplicates = duplicateTasks.map(task => ({
+      file_id: task.file_id,
+      file_name: task.file_name,
+      content_hash: task.content_hash,
+      storage_path: task.storage_path,
+      duplicate_of: task.duplicate_of
+    }));
+  }
+
+  return formatted;
+}
+
+/**
+ * Relay progress events published by any api-service instance to local listeners
+ */
+async function enableJobEventFanout(redisClient) {
+  const subscriber = redisClient.duplicate();
+  subscriber.on('error', (err) => console.error('Job progress subscriber error', err));
+
+  await subscriber.connect();
+  await subscriber.pSubscribe(`${JOB_PROGRESS_CHANNEL}:*`, (message) => {
+    try {
+      const event = JSON.parse(message);
+      jobEmitter.emit(event.job_id, event);
+    } catch (error) {
+      console.error(`Invalid job progress message: ${error.message}`);
+    }
+  });
+
+  publisher = redisClient;
+}
+
+async function broadcastJobEvent(event) {
+  if (publisher) {
+    await publisher.publish(`${JOB_PROGRESS_CHANNEL}:${event.job_id}`, JSON.stringify(event));
+  } else {
+    jobEmitter.emit(event.job_id, event);
+  }
+}
+
+/**
+ * Listen to the progress events of one job
+ * Returns a function that removes the listener
+ */
+function subscribeToJob(jobId, listener) {
+  jobEmitter.on(jobId, listener);
+  return () => jobEmitter.off(jobId, listener);
+}
+
+/**
+ * Write a single progress event to the jobs tables
+ * Returns the job row if this event finished the job
+ *
+ * event format:
+ * {
+ *   type: 'job_started' | 'folder_listed' | 'file_downloaded' | 'file_stored' | 'file_failed'
+ *       | 'file_rolled_back' | 'file_tombstoned' | 'job_failed',
+ *   job_id,
+ *   files?: [{ file_id, file_name, source_url? }], // folder_listed (source_url: URL imports)
+ *   sync?: { unchanged, deleted, tombstoned }, // folder_listed of a sync job
+ *   filtered?: { listed, selected, selected_bytes, excluded, over_limit, limits }, // folder_listed
+ *   file_id?, file_name?,               // file_* events
+ *   size?, storage_path?, error?,
+ *   content_hash?, duplicate_of?: { source, file_id, file_name } // file_stored
+ * }
+ */
+async function recordJobEvent(event) {
+  switch (event.type) {
+    case 'job_started':
+      await db.updateJobStatus(event.job_id, 'listing', { from: ['queued'] });
+      return null;
+
+    case 'folder_listed':
+      return db.recordJobListing(event.job_id, event.files || [], event.sync || null, event.filtered || null);
+
+    case 'file_downloaded':
+    case 'file_tombstoned':
+      // Progress only; tombstoned files are already listed in the sync report
+      return null;
+
+    case 'file_stored':
+      return db.recordTaskResult(event.job_id, event.file_id, {
+        status: 'succeeded',
+        file_name: event.file_name,
+        storage_path: event.storage_path,
+        content_hash: event.content_hash || null,
+        duplicate_of: event.duplicate_of || null
+      });
+
+    case 'file_failed':
+      return db.recordTaskResult(event.job_id, event.file_id, {
+        status: 'failed',
+        file_name: event.file_name,
+        error: event.error
+      });
+
+    case 'file_rolled_back':
+      return db.recordTaskResult(event.job_id, event.file_id, {
+        status: 'rolled_back',
+        file_name: event.file_name
+      });
+
+    case 'job_failed':
+      await db.updateJobStatus(event.job_id, 'failed', {
+        error: event.error,
+        from: ['queued', 'listing', 'downloading']
+      });
+      return null;
+
+    default:
+      console.warn(`Ignoring unknown job event type: ${event.type}`);
+      return null;
+  }
+}
+
+/**
+ * Apply a single progress event and notify live listeners, followed by a
+ * job_completed event when it was the last outstanding file
+ */
+async function applyJobEvent(event) {
+  const completedJob = await recordJobEvent(event);
+  const job = await db.getJob(event.job_id);
+
+  // A file that was still in flight when its job was cancelled with rollback
+  if (event.type === 'file_stored' && job && job.status === 'cancelled' && job.rollback_requested) {
+    await rollbackStoredFiles(queueClient, job.id, [{
+      file_id: event.file_id,
+      file_name: event.file_name,
+      storage_path: event.storage_path
+    }]);
+  }
+
+  try {
+    const { files, ...progress } = event;
+
+    if (files) {
+      progress.file_count = files.length;
+    }
+
+    await broadcastJobEvent({
+      ...progress,
+      at: event.at || new Date().toISOString(),
+      job: job ? formatJob(job) : null
+    });
+
+    if (completedJob) {
+      await broadcastJobEvent({
+        type: 'job_completed',
+        job_id: event.job_id,
+        at: new Date().toISOString(),
+        job: formatJob(completedJob)
+      });
+    }
+  } catch (error) {
+    console.error(`Failed to broadcast ${event.type} event for job ${event.job_id}: ${error.message}`);
+  }
+}
+
+/**
+ * Notify live listeners of a change made through the API (pause, resume, cancel)
+ */
+async function notifyJobEvent(type, job) {
+  try {
+    await broadcastJobEvent({
+      type,
+      job_id: job.id,
+      at: new Date().toISOString(),
+      job: formatJob(job)
+    });
+  } catch (error) {
+    console.error(`Failed to broadcast ${type} event for job ${job.id}: ${error.message}`);
+  }
+}
+
+/**
+ * Consume job events until the process exits
+ */
+async function startJobEventConsumer(redisClient) {
+  console.log('Job event consumer started');
+  queueClient = redisClient;
+
+  try {
+    await enableJobEventFanout(redisClient);
+  } catch (error) {
+    console.error(`Job progress fan-out unavailable, live events limited to this instance: ${error.message}`);
+  }
+
+  while (true) {
+    try {
+      const result = await redisClient.blPop(
+        redis.commandOptions({ isolated: true }),
+        JOB_EVENTS_QUEUE,
+        QUEUE_TIMEOUT
+      );
+
+      if (!result) continue;
+
+      const event = JSON.parse(result.element);
+
+      try {
+        await applyJobEvent(event);
+      } catch (error) {
+        console.error(`Failed to apply ${event.type} event for job ${event.job_id}: ${error.message}`);
+      }
+    } catch (error) {
+      console.error(`Error in job event consumer: ${error.message}`);
+      await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+  }
+}
+
+module.exports = {
+  JOB_EVENTS_QUEUE,
+  FINISHED_JOB_STATUSES,
+  formatJob,
+  applyJobEvent,
+  notifyJobEvent,
+  subscribeToJob,
+  startJobEventConsumer
+};
@@ -0,0 +1,126 @@
+/**
+ * Renderer - Resized and cropped copies of images, made on request
+ * A render is read from the original in storage the first time it is asked
+ * for, then kept in the bucket under a key built from the image content and
+ * the render options, so later requests (from any instance) are served as is.
+ */
+const crypto = require('crypto');
+const sharp = require('sharp');
+const storage = require('./storage');
+const { contentRenderPrefix, pathRenderPrefix } = require('../shared/renderKeys');
+
+// Only these dimensions can be rendered, so the cache cannot be filled with
+// one copy per pixel width
+const RENDER_SIZES = (process.env.RENDER_SIZES || '64,100,150,200,300,400,600,800,1000,1200,1600,2000')
+  .split(',')
+  .map(size => parseInt(size.trim()))
+  .filter(size => size > 0);
+const RENDER_FITS = ['cover', 'contain', 'inside', 'fill'];
+const RENDER_FORMATS = ['webp', 'jpeg', 'png', 'avif'];
+const RENDER_QUALITIES = [50, 60, 70, 80, 90, 100];
+
+const CONTENT_TYPES = {
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  avif: 'image/avif'
+};
+
+// Renders in progress in this process, so concurrent requests for the same
+// render transform the original once
+const pendingRenders = new Map();
+
+/**
+ * Object name a render is cached under. Images stored by content use their
+ * SHA-256, so every copy of the same content shares its renders; older images
+ * fall back to their storage path plus `objectEtag`, the ETag of the original,
+ * so a replaced original gets new renders.
+ */
+function renderKey(image, { width, height, fit, format, quality }, objectEtag = null) {
+  const source = image.content_hash
+    ? contentRenderPrefix(image.content_hash)
+    : `${pathRenderPrefix(image.storage_path)}/${objectEtag}`;
+
+  // PNG is lossless, so quality does not change it
+  const qualityPart = format === 'png' ? '' : `-q${quality}`;
+
+  return `${source}/${width || 'auto'}x${height || 'auto'}-${fit}${qualityPart}.${format}`;
+}
+
+/**
+ * Quoted ETag for a render. It depends only on the cache key, so a
+ * conditional request can be answered without reading storage.
+ */
+function renderEtag(key) {
+  return `"${crypto.createHash('sha256').update(key).digest('hex').slice(0, 32)}"`;
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+async function renderAndStore(image, key, options) {
+  const original = await storage.getObject(image.storage_path);
+  if (!original) return null;
+
+  const { width, height, fit, format, quality } = options;
+
+  const data = await sharp(await readStream(original.stream))
+    .rotate() // apply EXIF orientation
+    .resize({
+      width: width || null,
+      height: height || null,
+      fit,
+      // Padding added by 'contain': white for JPEG, transparent otherwise
+      background: { r: 255, g: 255, b: 255, alpha: format === 'jpeg' ? 1 : 0 },
+      withoutEnlargement: true
+    })
+    .toFormat(format, format === 'png' ? {} : { quality })
+    .toBuffer();
+
+  const contentType = CONTENT_TYPES[format];
+
+  try {
+    await storage.putObject(key, data, contentType);
+  } catch (error) {
+    // The render is still good for this response
+    console.error(`Failed to cache render ${key}: ${error.message}`);
+  }
+
+  return { data, contentType };
+}
+
+/**
+ * A render of `image`, from the bucket if it was made before
+ * Returns { stream } for a cached render, { data } for a new one (both with
+ * contentType, and size for cached ones), or null when the original is missing
+ */
+async function getRender(image, key, options) {
+  const cached = await storage.getObject(`s3://${storage.getBucket()}/${key}`);
+  if (cached) {
+    return { stream: cached.stream, size: cached.size, contentType: cached.contentType, cached: true };
+  }
+
+  if (!pendingRenders.has(key)) {
+    const render = renderAndStore(image, key, options)
+      .finally(() => pendingRenders.delete(key));
+    pendingRenders.set(key, render);
+  }
+
+  const rendered = await pendingRenders.get(key);
+  return rendered && { ...rendered, cached: false };
+}
+
+module.exports = {
+  RENDER_SIZES,
+  RENDER_FITS,
+  RENDER_FORMATS,
+  RENDER_QUALITIES,
+  renderKey,
+  renderEtag,
+  getRender
+};
@@ -0,0 +1,148 @@
+/**
+ * Scheduler - Recurring folder imports
+ * Every api-service instance running background workers polls for due
+ * schedules. Claiming a schedule moves it to its next run in the same
+ * transaction (see db.claimDueSchedules), so each run fires exactly once
+ * however many instances are polling.
+ */
+const cronParser = require('cron-parser');
+const { v4: uuidv4 } = require('uuid');
+const db = require('./database');
+
+const SCHEDULER_POLL_MS = parseInt(process.env.SCHEDULER_POLL_MS || '30000');
+const SCHEDULER_BATCH_SIZE = 20;
+const MIN_INTERVAL_MINUTES = 5;
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check a schedule has exactly one usable timing (cron or interval)
+ * Returns an error message, or null when it is usable
+ */
+function validateTiming({ cron_expression, interval_minutes, timezone }) {
+  if (cron_expression && interval_minutes) {
+    return 'Provide either cron or interval_minutes, not both';
+  }
+  if (!cron_expression && !interval_minutes) {
+    return 'Either cron or interval_minutes is required';
+  }
+  if (!isValidTimezone(timezone)) {
+    return `Unknown timezone: ${timezone}`;
+  }
+  if (interval_minutes && interval_minutes < MIN_INTERVAL_MINUTES) {
+    return `interval_minutes must be at least ${MIN_INTERVAL_MINUTES}`;
+  }
+
+  if (cron_expression) {
+    try {
+      cronParser.parseExpression(cron_expression, { tz: timezone });
+    } catch (error) {
+      return `Invalid cron expression: ${error.message}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Next time a schedule is due after `from`
+ * Runs missed while no instance was up are not replayed; the schedule fires
+ * once and continues from now.
+ */
+function computeNextRun(schedule, from = new Date()) {
+  if (schedule.cron_expression) {
+    return cronParser.parseExpression(schedule.cron_expression, {
+      currentDate: from,
+      tz: schedule.timezone
+    }).next().toDate();
+  }
+
+  return new Date(from.getTime() + schedule.interval_minutes * 60 * 1000);
+}
+
+/**
+ * Shape a schedule row (plus its recent runs) for API responses
+ */
+function formatSchedule(schedule, runs = null) {
+  const formatted = {
+    schedule_id: schedule.id,
+    source: schedule.source,
+    folder_url: schedule.folder_url,
+    cron: schedule.cron_expression,
+    interval_minutes: schedule.interval_minutes,
+    timezone: schedule.timezone,
+    options: schedule.options,
+    enabled: schedule.enabled,
+    next_run_at: schedule.enabled ? schedule.next_run_at : null,
+    last_run_at: schedule.last_run_at,
+    last_job_id: schedule.last_job_id,
+    created_at: schedule.created_at,
+    updated_at: schedule.updated_at
+  };
+
+  if (runs) {
+    formatted.runs = runs.map(run => ({
+      job_id: run.job_id,
+      status: run.status,
+      scheduled_for: run.scheduled_for,
+      fired_at: run.created_at
+    }));
+  }
+
+  return formatted;
+}
+
+/**
+ * Fire every schedule that is due. `launchRun({ schedule, job })` puts the
+ * job recorded for the run on the import queue.
+ */
+async function runDueSchedules(launchRun) {
+  let runs;
+
+  do {
+    runs = await db.claimDueSchedules(SCHEDULER_BATCH_SIZE, schedule => ({
+      jobId: uuidv4(),
+      nextRunAt: computeNextRun(schedule)
+    }));
+
+    for (const run of runs) {
+      try {
+        await launchRun(run);
+        console.log(`Schedule ${run.schedule.id} started job ${run.job.id}`);
+      } catch (error) {
+        console.error(`Schedule ${run.schedule.id} failed to start job ${run.job.id}: ${error.message}`);
+      }
+    }
+  } while (runs.length === SCHEDULER_BATCH_SIZE);
+}
+
+/**
+ * Poll for due schedules until the process exits
+ */
+async function startScheduler(launchRun) {
+  console.log(`Scheduler started (polling every ${SCHEDULER_POLL_MS / 1000}s)`);
+
+  while (true) {
+    try {
+      await runDueSchedules(launchRun);
+    } catch (error) {
+      console.error(`Error in scheduler: ${error.message}`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, SCHEDULER_POLL_MS));
+  }
+}
+
+module.exports = {
+  validateTiming,
+  computeNextRun,
+  formatSchedule,
+  startScheduler
+};
@@ -2,20 +2,37 @@
  * API Service - Node.js/Express
  * Receives HTTP requests and sends jobs to queue
  */
-const {
-  processGoogleDriveFolder,
-  processDropboxFolder
-} = require('./importHandlers');
-
 const express = require('express');
 const cors = require('cors');
 const redis = require('redis');
 const { v4: uuidv4 } = require('uuid');
-const { body, query, validationResult } = require('express-validator');
+const { body, query, param, validationResult } = require('express-validator');
 require('dotenv').config();
 
 const db = require('./database');
 const { extractFolderId, extractDropboxFolderId } = require('./utils');
+const {
+  FINISHED_JOB_STATUSES,
+  formatJob,
+  notifyJobEvent,
+  subscribeToJob,
+  startJobEventConsumer
+} = require('./jobEvents');
+const jobControl = require('./jobControl');
+const credentials = require('./credentials');
+const scheduler = require('./scheduler');
+const { clusterImages } = require('./duplicates');
+const storage = require('./storage');
+const renderer = require('./renderer');
+const reliableQueue = require('../shared/reliableQueue');
+const deadLetters = require('../shared/deadLetters');
+const { PROVIDER_COOLDOWN_PREFIX } = require('../shared/providerErrors');
+const importFilters = require('../shared/importFilters');
+const importPreview = require('./importPreview');
+const idempotency = require('./idempotency');
+const batches = require('./batches');
+const urlImports = require('./urlImports');
+const { downloadToken, checkDownloadToken } = require('./downloadTokens');
 
 const app = express();
 const PORT = process.env.PORT || 8000;
@@ -104,10 +121,319 @@ async function ensureRedisConnected() {
 }
 
 const FOLDER_IMPORT_QUEUE = 'folder_import_queue';
+const IMAGE_TASK_QUEUE = 'image_task_queue';
+// In-flight counts published by every worker-service process
+const WORKER_STATS_KEY = 'worker_stats';
+// Workers that have not reported for this long are gone (they report every 5s)
+const WORKER_STATS_TTL_MS = 30000;
+// Maintained by import-service and worker-service for re-syncs
+const SOURCE_FOLDERS_KEY = 'source_folders';
+const SOURCE_FOLDER_FILES_PREFIX = 'source_folder_files:';
+// Deepest subfolder level a recursive import may walk
+const MAX_FOLDER_DEPTH = parseInt(process.env.MAX_FOLDER_DEPTH || '10');
+
+// Resized copies worker-service stores for every image (see GET /images/:id/thumbnail)
+const THUMBNAIL_SIZES = ['200', '400', '1200'];
+const THUMBNAIL_FORMATS = ['webp', 'jpeg'];
 
 // Initialize database on startup
 db.initDatabase();
 
+/**
+ * Push a folder job to import-service. If it cannot be queued the job record
+ * is marked failed so it does not sit in 'queued' forever.
+ */
+async function enqueueFolderJob(jobData) {
+  try {
+    await ensureRedisConnected();
+    await redisClient.rPush(FOLDER_IMPORT_QUEUE, reliableQueue.encodeTask(jobData));
+  } catch (error) {
+    await db.updateJobStatus(jobData.job_id, 'failed', { error: error.message })
+      .catch(err => console.error(`Failed to mark job ${jobData.job_id} as failed:`, err));
+    throw error;
+  }
+}
+
+/**
+ * Message import-service expects for a folder job
+ */
+function folderJobData(jobId, source, folderId, folderUrl, options) {
+  return {
+    job_id: jobId,
+    folder_id: folderId,
+    folder_url: folderUrl,
+    source,
+    recursive: options.recursive,
+    max_depth: options.max_depth,
+    credential_id: options.credential_id,
+    sync: options.sync,
+    tombstone_deleted: options.tombstone_deleted,
+    filters: options.filters
+  };
+}
+
+// Re-sync options shared by the import routes
+const syncValidators = [
+  body('sync')
+    .optional()
+    .isBoolean()
+    .withMessage('sync must be a boolean')
+    .toBoolean(),
+  body('tombstone_deleted')
+    .optional()
+    .isBoolean()
+    .withMessage('tombstone_deleted must be a boolean')
+    .toBoolean(),
+];
+
+// Limits and filters shared by the import routes (see shared/importFilters.js)
+const filterValidators = [
+  body('max_files')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('max_files must be a positive integer')
+    .toInt(),
+  body('max_total_bytes')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('max_total_bytes must be a positive integer')
+    .toInt(),
+  body('min_size')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('min_size must be a number of bytes')
+    .toInt(),
+  body('max_size')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('max_size must be a number of bytes')
+    .toInt(),
+  body('mime_types')
+    .optional({ nullable: true })
+    .isArray({ min: 1, max: 50 })
+    .withMessage('mime_types must be a list of MIME types'),
+  body('mime_types.*')
+    .matches(/^image\/([a-z0-9.+-]+|\*)$/i)
+    .withMessage('mime_types must be image types such as "image/jpeg" or "image/*"'),
+  body(['include', 'exclude'])
+    .optional({ nullable: true })
+    .isArray({ min: 1, max: 50 })
+    .withMessage('include and exclude must be lists of filename patterns'),
+  body(['include.*', 'exclude.*'])
+    .isString()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('filename patterns must be non-empty strings, e.g. "*.jpg"'),
+  body('modified_after')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('modified_after must be an ISO 8601 date or time'),
+];
+
+/**
+ * Filters requested for an import, capped at the server-wide ceilings
+ */
+function filterOptions(req, current = {}) {
+  const filters = importFilters.buildImportFilters(req.body, current);
+
+  const invalid = importFilters.validateImportFilters(filters);
+  if (invalid) {
+    return { error: invalid };
+  }
+
+  return { filters };
+}
+
+/**
+ * Sync mode compares against what earlier imports stored, which is tracked
+ * by the background import pipeline only
+ */
+function syncOptions(req) {
+  const sync = req.body.sync === true;
+  if (sync && process.env.ENABLE_QUEUE_WORKER !== 'true') {
+    return { error: 'sync requires background workers (ENABLE_QUEUE_WORKER=true)' };
+  }
+
+  return {
+    sync,
+    tombstone_deleted: sync && req.body.tombstone_deleted === true
+  };
+}
+
+/**
+ * Idempotency-Key support for the import routes: a retry with the same key
+ * gets the first response back instead of starting a second job, and a key
+ * reused for a different request gets 409. Only successful responses are
+ * kept, so a request that failed can be retried with its key.
+ */
+async function idempotentRequest(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  const invalid = idempotency.validateIdempotencyKey(key);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  try {
+    await ensureRedisConnected();
+
+    const endpoint = req.path;
+    const fingerprint = idempotency.requestFingerprint(req);
+    const stored = await idempotency.claimIdempotencyKey(redisClient, endpoint, key, fingerprint);
+
+    if (stored) {
+      if (stored.fingerprint !== fingerprint) {
+        return res.status(409).json({
+          error: 'Idempotency-Key was already used for a different request'
+        });
+      }
+      if (stored.state === 'pending') {
+        return res.status(409).json({
+          error: 'A request with this Idempotency-Key is still in progress; retry later'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.status).json(stored.body);
+    }
+
+    // Settle the key with the response this request sends, and only then
+    // send it: a client retrying as soon as it has the answer must get it
+    // replayed, not a 409 for a key that still looks in progress
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      const settled = res.statusCode < 400
+        ? idempotency.completeIdempotencyKey(redisClient, endpoint, key, fingerprint, res.statusCode, body)
+        : idempotency.releaseIdempotencyKey(redisClient, endpoint, key);
+      settled
+        .catch(error => console.error(`Failed to record Idempotency-Key ${key}: ${error.message}`))
+        .then(() => sendJson(body))
+        .catch(error => {
+          console.error('Failed to send response:', error);
+          if (!res.headersSent) res.status(500).end();
+        });
+      return res;
+    };
+
+    return next();
+  } catch (error) {
+    console.error('Error in Idempotency-Key handling:', error);
+    return res.status(500).json({
+      error: `Failed to check Idempotency-Key: ${error.message}`
+    });
+  }
+}
+
+// Subfolder options shared by the import routes
+const folderDepthValidators = [
+  body('recursive')
+    .optional()
+    .isBoolean()
+    .withMessage('recursive must be a boolean')
+    .toBoolean(),
+  body('max_depth')
+    .optional()
+    .isInt({ min: 1, max: MAX_FOLDER_DEPTH })
+    .withMessage(`max_depth must be between 1 and ${MAX_FOLDER_DEPTH}`)
+    .toInt(),
+];
+
+// Google Drive options shared by the import routes
+const driveOptionValidators = [
+  ...folderDepthValidators,
+  body('credential_id')
+    .optional()
+    .isUUID()
+    .withMessage('credential_id must be a valid credential ID'),
+];
+
+const dryRunValidator = body('dry_run')
+  .optional()
+  .isBoolean()
+  .withMessage('dry_run must be a boolean')
+  .toBoolean();
+
+/**
+ * Options of an import of `source` from the request body
+ * Returns { options } or { error }
+ */
+async function importOptions(req, source) {
+  const sync = syncOptions(req);
+  if (sync.error) {
+    return { error: sync.error };
+  }
+
+  const { filters, error } = filterOptions(req);
+  if (error) {
+    return { error };
+  }
+
+  const options = {
+    recursive: req.body.recursive === true,
+    max_depth: req.body.max_depth || MAX_FOLDER_DEPTH,
+    ...sync,
+    filters
+  };
+
+  if (source !== 'google_drive') {
+    return { options };
+  }
+
+  // Private folders: only the credential ID travels with the job
+  if (req.body.credential_id) {
+    await ensureRedisConnected();
+    const credential = await credentials.getCredential(redisClient, req.body.credential_id);
+    if (!credential) {
+      return { error: `Credential ${req.body.credential_id} not found` };
+    }
+    options.credential_id = credential.credential_id;
+  }
+
+  return { options };
+}
+
+/**
+ * Answer a dry run: what an import with these options would queue, worked
+ * out by import-service without queueing or recording anything
+ */
+async function sendImportPreview(res, source, folderId, folderUrl, options) {
+  if (process.env.ENABLE_QUEUE_WORKER !== 'true') {
+    return res.status(400).json({
+      error: 'dry_run requires background workers (ENABLE_QUEUE_WORKER=true)'
+    });
+  }
+
+  await ensureRedisConnected();
+  const reply = await importPreview.requestImportPreview(
+    redisClient,
+    folderJobData(null, source, folderId, folderUrl, options)
+  );
+
+  if (!reply) {
+    return res.status(504).json({
+      error: `No preview within ${importPreview.IMPORT_PREVIEW_TIMEOUT_MS / 1000} seconds; is import-service running?`
+    });
+  }
+  if (reply.busy) {
+    return res.status(503).json({ error: reply.error });
+  }
+  if (reply.error) {
+    return res.status(reply.permanent ? 400 : 500).json({
+      error: `Failed to list folder: ${reply.error}`
+    });
+  }
+
+  return res.status(200).json({
+    dry_run: true,
+    source,
+    folder_url: folderUrl,
+    options,
+    ...reply.preview
+  });
+}
+
 /**
  * POST /import/google-drive
  * Import images from a Google Drive folder URL
@@ -116,9 +442,14 @@ db.initDatabase();
 app.post(
   '/import/google-drive',
   [
+    idempotentRequest,
     body('folder_url')
       .isURL()
       .withMessage('folder_url must be a valid URL'),
+    ...driveOptionValidators,
+    ...syncValidators,
+    ...filterValidators,
+    dryRunValidator,
   ],
   async (req, res) => {
     try {
@@ -137,36 +468,51 @@ app.post(
         });
       }
 
+      const { options, error: optionsError } = await importOptions(req, 'google_drive');
+      if (optionsError) {
+        return res.status(400).json({ error: optionsError });
+      }
+      const { filters } = options;
+
+      if (req.body.dry_run === true) {
+        return await sendImportPreview(res, 'google_drive', folderId, folder_url, options);
+      }
+
       // Generate job ID
       const jobId = uuidv4();
 
+      // Record the job so its progress can be followed via GET /jobs/:id
+      await db.createJob({
+        id: jobId,
+        source: 'google_drive',
+        folder_id: folderId,
+        folder_url: folder_url,
+        options
+      });
+
       // Check if queue worker is enabled
       const useQueue = process.env.ENABLE_QUEUE_WORKER === 'true';
       
       if (useQueue) {
         // Use queue-based processing (requires background workers)
-        await ensureRedisConnected();
-
-        const jobData = {
-          job_id: jobId,
-          folder_id: folderId,
-          folder_url: folder_url,
-          source: 'google_drive'
-        };
-
-        await redisClient.rPush(FOLDER_IMPORT_QUEUE, JSON.stringify(jobData));
+        await enqueueFolderJob(folderJobData(jobId, 'google_drive', folderId, folder_url, options));
 
         return res.status(200).json({
           job_id: jobId,
           status: 'queued',
-          folder_url: folder_url
+          folder_url: folder_url,
+          filters
         });
       } else {
         // Process synchronously (for Render free tier)
         const { processGoogleDriveFolder } = require('./folderProcessor');
         
+        const driveAuth = options.credential_id
+          ? await credentials.getDriveAuth(redisClient, options.credential_id)
+          : null;
+
         // Process in background (don't block response)
-        processGoogleDriveFolder(folderId, folder_url)
+        processGoogleDriveFolder(folderId, folder_url, jobId, options, driveAuth)
           .then(result => {
             console.log(`Import completed for job ${jobId}:`, result);
           })
@@ -178,6 +524,7 @@ app.post(
           job_id: jobId,
           status: 'processing',
           folder_url: folder_url,
+          filters,
           message: 'Import started. Images will be processed in the background.'
         });
       }
@@ -198,9 +545,14 @@ app.post(
 app.post(
   '/import/dropbox',
   [
+    idempotentRequest,
     body('folder_url')
       .isURL()
       .withMessage('folder_url must be a valid URL'),
+    ...folderDepthValidators,
+    ...syncValidators,
+    ...filterValidators,
+    dryRunValidator,
   ],
   async (req, res) => {
     try {
@@ -219,26 +571,35 @@ app.post(
         });
       }
 
+      const { options, error: optionsError } = await importOptions(req, 'dropbox');
+      if (optionsError) {
+        return res.status(400).json({ error: optionsError });
+      }
+      const { filters } = options;
+
+      if (req.body.dry_run === true) {
+        return await sendImportPreview(res, 'dropbox', folderId, folder_url, options);
+      }
+
       // Generate job ID
       const jobId = uuidv4();
 
-      // Ensure Redis is connected before queueing
-      await ensureRedisConnected();
-
-      // Send job to import-service queue (FIFO)
-      const jobData = {
-        job_id: jobId,
+      await db.createJob({
+        id: jobId,
+        source: 'dropbox',
         folder_id: folderId,
         folder_url: folder_url,
-        source: 'dropbox'
-      };
+        options
+      });
 
-      await redisClient.rPush(FOLDER_IMPORT_QUEUE, JSON.stringify(jobData));
+      // Send job to import-service queue (FIFO)
+      await enqueueFolderJob(folderJobData(jobId, 'dropbox', folderId, folder_url, options));
 
       return res.status(200).json({
         job_id: jobId,
         status: 'queued',
-        folder_url: folder_url
+        folder_url: folder_url,
+        filters
       });
     } catch (error) {
       console.error('Error in /import/dropbox:', error);
@@ -250,15 +611,23 @@ app.post(
 );
 
 /**
- * GET /images
- * Get list of all imported images with metadata
+ * POST /import/preview
+ * What an import would queue (file count, bytes, types, files skipped as
+ * already imported or filtered out), without queueing or storing anything.
+ * Same as `dry_run: true` on the import routes.
  */
-app.get(
-  '/images',
+app.post(
+  '/import/preview',
   [
-    query('source').optional().isIn(['google_drive', 'dropbox']),
-    query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
-    query('offset').optional().isInt({ min: 0 }).toInt(),
+    body('folder_url')
+      .isURL()
+      .withMessage('folder_url must be a valid URL'),
+    body('source')
+      .isIn(['google_drive', 'dropbox'])
+      .withMessage('source must be one of: google_drive, dropbox'),
+    ...driveOptionValidators,
+    ...syncValidators,
+    ...filterValidators,
   ],
   async (req, res) => {
     try {
@@ -267,112 +636,2116 @@ app.get(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { source, limit = 100, offset = 0 } = req.query;
+      const { folder_url, source } = req.body;
 
-      // Get images from database
-      const result = await db.getImages({
-        source: source || null,
-        limit: parseInt(limit),
-        offset: parseInt(offset)
-      });
+      const folderId = extractSourceFolderId(source, folder_url);
+      if (!folderId) {
+        return res.status(400).json({ error: `Invalid ${source} folder URL` });
+      }
 
-      return res.status(200).json({
-        images: result.images,
-        total: result.total,
-        limit: parseInt(limit),
-        offset: parseInt(offset)
-      });
+      const { options, error } = await importOptions(req, source);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      return await sendImportPreview(res, source, folderId, folder_url, options);
     } catch (error) {
-      console.error('Error in /images:', error);
+      console.error('Error in /import/preview:', error);
       return res.status(500).json({
-        error: `Failed to retrieve images: ${error.message}`
+        error: `Failed to preview import: ${error.message}`
       });
     }
   }
 );
 
+// Checks for one entry of POST /import/batch: its source and URL plus the
+// body of that source's single-folder route
+const batchEntryValidators = {
+  google_drive: [...driveOptionValidators, ...syncValidators, ...filterValidators],
+  dropbox: [...folderDepthValidators, ...syncValidators, ...filterValidators]
+};
+
 /**
- * GET /health
- * Health check endpoint
+ * Check one batch entry ({ source, folder_url, options }) the way the
+ * single-folder routes check a request
+ * Returns { folderId, options } or { error } / { errors }
  */
-app.get('/health', async (req, res) => {
-  try {
-    const health = {
-      status: 'healthy',
-      service: 'api-service',
-      queue_worker_enabled: process.env.ENABLE_QUEUE_WORKER === 'true'
-    };
-    
-    // Check Redis connection (optional - only if queue worker is enabled)
-    if (process.env.ENABLE_QUEUE_WORKER === 'true') {
-      try {
-        await redisClient.ping();
-        health.redis = 'connected';
-      } catch (error) {
-        health.redis = 'disconnected';
-        health.warning = 'Redis not available but queue worker is enabled';
-      }
-    }
-    
-    return res.status(200).json(health);
-  } catch (error) {
-    return res.status(503).json({
-      status: 'unhealthy',
-      error: error.message
-    });
+async function batchEntryImport(entry) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { error: 'entry must be an object with source, folder_url and optional options' };
   }
-});
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`API Service running on port ${PORT}`);
-});
+  const { source, folder_url, options = {} } = entry;
+  if (!batchEntryValidators[source]) {
+    return { error: 'source must be one of: google_drive, dropbox' };
+  }
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return { error: 'options must be an object' };
+  }
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('SIGTERM signal received: closing HTTP server');
-  await redisClient.quit();
-  process.exit(0);
-});
+  // Validators and option helpers read req.body
+  const entryReq = { body: { ...options, folder_url } };
+  const validators = [
+    body('folder_url')
+      .isURL()
+      .withMessage('folder_url must be a valid URL'),
+    ...batchEntryValidators[source],
+  ];
+  for (const validator of validators) {
+    await validator.run(entryReq);
+  }
+
+  const errors = validationResult(entryReq);
+  if (!errors.isEmpty()) {
+    return { errors: errors.array() };
+  }
+
+  const folderId = extractSourceFolderId(source, folder_url);
+  if (!folderId) {
+    return { error: `Invalid ${source} folder URL` };
+  }
+
+  const { options: importOpts, error } = await importOptions(entryReq, source);
+  if (error) {
+    return { error };
+  }
 
-async function startQueueWorker() {
-  console.log('Background worker started');
+  return { folderId, options: importOpts };
+}
 
-  while (true) {
+/**
+ * POST /import/batch
+ * Import many folders in one request. Each entry is checked on its own: valid
+ * ones become import jobs of a new batch, invalid ones are reported with their
+ * error without failing the rest. Follow the batch via GET /batches/:id.
+ */
+app.post(
+  '/import/batch',
+  [
+    idempotentRequest,
+    body('entries')
+      .isArray({ min: 1, max: batches.IMPORT_BATCH_MAX_ENTRIES })
+      .withMessage(`entries must be a list of 1 to ${batches.IMPORT_BATCH_MAX_ENTRIES} folders`),
+  ],
+  async (req, res) => {
     try {
-      const result = await redisClient.blPop(FOLDER_IMPORT_QUEUE, 0);
-      
-      if (!result || !result.element) continue;
-      const job = JSON.parse(result.element);
-      console.log('Processing job:', job.job_id);
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (process.env.ENABLE_QUEUE_WORKER !== 'true') {
+        return res.status(400).json({
+          error: 'Batch imports require background workers (ENABLE_QUEUE_WORKER=true)'
+        });
+      }
 
-      if (job.source === 'google_drive') {
-        await processGoogleDriveFolder(job);
+      const entries = [];
+      const jobs = [];
+
+      for (const [index, entry] of req.body.entries.entries()) {
+        const { source = null, folder_url = null } = entry && typeof entry === 'object' ? entry : {};
+        const { folderId, options, ...rejected } = await batchEntryImport(entry);
+
+        if (!options) {
+          entries.push({ index, source, folder_url, ...rejected });
+          continue;
+        }
+
+        const jobId = uuidv4();
+        jobs.push({ id: jobId, source, folder_id: folderId, folder_url, options });
+        entries.push({ index, source, folder_url, job_id: jobId });
+      }
+
+      if (!jobs.length) {
+        return res.status(400).json({
+          error: 'No entry of the batch is valid',
+          entries
+        });
       }
 
-      if (job.source === 'dropbox') {
-        await processDropboxFolder(job);
+      const batchId = uuidv4();
+      await db.createBatch({ id: batchId, jobs, entries });
+
+      // A job that cannot be queued is marked failed; the others still run
+      const results = [];
+      for (const entry of entries) {
+        const job = entry.job_id && jobs.find(candidate => candidate.id === entry.job_id);
+        if (!job) {
+          results.push(entry);
+          continue;
+        }
+
+        try {
+          await enqueueFolderJob(folderJobData(job.id, job.source, job.folder_id, job.folder_url, job.options));
+          results.push({ ...entry, status: 'queued', filters: job.options.filters });
+        } catch (error) {
+          console.error(`Batch ${batchId} failed to queue job ${job.id}: ${error.message}`);
+          results.push({ ...entry, status: 'failed', error: `Failed to enqueue import job: ${error.message}` });
+        }
       }
 
-    } catch (err) {
-      console.error('Worker error:', err);
-      await new Promise(r => setTimeout(r, 5000));
+      return res.status(201).json({
+        batch_id: batchId,
+        counts: {
+          entries: entries.length,
+          accepted: jobs.length,
+          rejected: entries.length - jobs.length
+        },
+        entries: results
+      });
+    } catch (error) {
+      console.error('Error in /import/batch:', error);
+      return res.status(500).json({
+        error: `Failed to create import batch: ${error.message}`
+      });
     }
   }
-}
+);
 
-// Only start queue worker if ENABLE_QUEUE_WORKER is set to 'true'
-// This allows the API service to run as a web service only (for Render free tier)
-if (process.env.ENABLE_QUEUE_WORKER === 'true') {
-  startQueueWorker().catch(err => {
-    console.error('Failed to start queue worker:', err);
-  });
-} else {
-  console.log('Queue worker disabled (ENABLE_QUEUE_WORKER not set to true)');
-  console.log('API service running in web-only mode (suitable for Render free tier)');
-}
+/**
+ * GET /batches/:id
+ * A batch's entries with the status of their jobs, and progress totals over them
+ */
+app.get(
+  '/batches/:id',
+  [
+    param('id').isUUID().withMessage('id must be a valid batch ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const batch = await db.getBatch(req.params.id);
+      if (!batch) {
+        return res.status(404).json({ error: `Batch ${req.params.id} not found` });
+      }
 
+      const jobs = await db.getBatchJobs(batch.id);
 
+      return res.status(200).json(batches.formatBatch(batch, jobs));
+    } catch (error) {
+      console.error('Error in /batches/:id:', error);
+      return res.status(500).json({
+        error: `Failed to retrieve batch: ${error.message}`
+      });
+    }
+  }
+);
+
+/**
+ * POST /import/urls
+ * Import images from plain HTTP(S) URLs: { "urls": [...] } as JSON, or an
+ * uploaded list as text/plain (one URL per line) or text/csv (a `url`
+ * column). Each URL is its own image task; invalid ones are reported without
+ * failing the rest. Follow them via GET /jobs/:id/files.
+ */
+app.post(
+  '/import/urls',
+  [
+    // Parsed before idempotentRequest so an uploaded list is part of the fingerprint
+    express.text({ type: ['text/plain', 'text/csv'], limit: '5mb' }),
+    idempotentRequest,
+    body('urls')
+      .if((value, { req }) => typeof req.body !== 'string')
+      .isArray({ min: 1, max: urlImports.URL_IMPORT_MAX_URLS })
+      .withMessage(`urls must be a list of 1 to ${urlImports.URL_IMPORT_MAX_URLS} URLs`),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (process.env.ENABLE_QUEUE_WORKER !== 'true') {
+        return res.status(400).json({
+          error: 'URL imports require background workers (ENABLE_QUEUE_WORKER=true)'
+        });
+      }
+
+      const urls = typeof req.body === 'string'
+        ? urlImports.parseUrlList(req.body, { csv: Boolean(req.is('text/csv')) })
+        : req.body.urls;
+
+      if (!urls.length || urls.length > urlImports.URL_IMPORT_MAX_URLS) {
+        return res.status(400).json({
+          error: `The list must hold 1 to ${urlImports.URL_IMPORT_MAX_URLS} URLs`
+        });
+      }
+
+      const { files, entries } = urlImports.checkUrlList(urls);
+      if (!files.length) {
+        return res.status(400).json({
+          error: 'No valid URL given',
+          urls: entries
+        });
+      }
+
+      const jobId = uuidv4();
+
+      await db.createJob({
+        id: jobId,
+        source: 'url',
+        folder_id: null,
+        folder_url: null
+      });
+      // There is no folder to list: the URLs are the job's files
+      await db.recordJobListing(jobId, files);
+
+      try {
+        await ensureRedisConnected();
+        await redisClient.rPush(IMAGE_TASK_QUEUE, files.map(file => reliableQueue.encodeTask({
+          job_id: jobId,
+          source: 'url',
+          file_id: file.file_id,
+          file_name: file.file_name,
+          url: file.source_url
+        })));
+      } catch (error) {
+        await db.updateJobStatus(jobId, 'failed', { error: error.message })
+          .catch(err => console.error(`Failed to mark job ${jobId} as failed:`, err));
+        throw error;
+      }
+
+      return res.status(200).json({
+        job_id: jobId,
+        status: 'queued',
+        counts: {
+          urls: entries.length,
+          accepted: files.length,
+          rejected: entries.length - files.length
+        },
+        urls: entries.map(entry => (entry.file_id ? { ...entry, status: 'queued' } : entry))
+      });
+    } catch (error) {
+      console.error('Error in /import/urls:', error);
+      return res.status(500).json({
+        error: `Failed to enqueue import job: ${error.message}`
+      });
+    }
+  }
+);
+
+/**
+ * POST /credentials
+ * Store a Google Drive service-account key or OAuth refresh token (encrypted)
+ * for importing private folders. Returns the ID to pass as credential_id.
+ */
+app.post(
+  '/credentials',
+  [
+    body('type')
+      .isIn(credentials.CREDENTIAL_TYPES)
+      .withMessage(`type must be one of: ${credentials.CREDENTIAL_TYPES.join(', ')}`),
+    body('label').optional().isString().isLength({ max: 255 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { type, label } = req.body;
+      let secret = type === 'service_account' ? req.body.service_account_key : req.body.oauth;
+
+      // Service account keys are often pasted as the raw JSON file contents
+      if (typeof secret === 'string') {
+        try {
+          secret = JSON.parse(secret);
+        } catch (error) {
+          return res.status(400).json({ error: 'service_account_key is not valid JSON' });
+        }
+      }
+
+      const invalid = credentials.validateSecret(type, secret);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+
+      await ensureRedisConnected();
+      const credential = await credentials.saveCredential(redisClient, { type, label, secret });
+
+      return res.status(201).json(credential);
+    } catch (error) {
+      console.error('Error in /credentials:', error);
+      return res.status(500).json({
+        error: `Failed to store credential: ${error.message}`
+      });
+    }
+  }
+);
+
+/**
+ * GET /credentials
+ * List stored credentials (never their secrets)
+ */
+app.get('/credentials', async (req, res) => {
+  try {
+    await ensureRedisConnected();
+    const list = await credentials.listCredentials(redisClient);
+    return res.status(200).json({ credentials: list });
+  } catch (error) {
+    console.error('Error in /credentials:', error);
+    return res.status(500).json({
+      error: `Failed to retrieve credentials: ${error.message}`
+    });
+  }
+});
+
+/**
+ * DELETE /credentials/:id
+ * Remove a stored credential; jobs still using it will fail to authenticate
+ */
+app.delete(
+  '/credentials/:id',
+  [
+    param('id').isUUID().withMessage('id must be a valid credential ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await ensureRedisConnected();
+      const deleted = await credentials.deleteCredential(redisClient, req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ error: `Credential ${req.params.id} not found` });
+      }
+
+      return res.status(204).end();
+    } catch (error) {
+      console.error('Error in /credentials/:id:', error);
+      return res.status(500).json({
+        error: `Failed to delete credential: ${error.message}`
+      });
+    }
+  }
+);
+
+// Timing and import options accepted when creating or updating a schedule
+const scheduleValidators = [
+  body('cron')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('cron must be a cron expression, e.g. "0 6 * * *"'),
+  body('interval_minutes')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('interval_minutes must be a positive integer')
+    .toInt(),
+  body('timezone')
+    .optional()
+    .isString()
+    .withMessage('timezone must be an IANA time zone name, e.g. "Europe/Berlin"'),
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled must be a boolean')
+    .toBoolean(),
+  body('recursive')
+    .optional()
+    .isBoolean()
+    .withMessage('recursive must be a boolean')
+    .toBoolean(),
+  body('max_depth')
+    .optional()
+    .isInt({ min: 1, max: MAX_FOLDER_DEPTH })
+    .withMessage(`max_depth must be between 1 and ${MAX_FOLDER_DEPTH}`)
+    .toInt(),
+  body('credential_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('credential_id must be a valid credential ID'),
+  ...syncValidators,
+  ...filterValidators,
+];
+
+function extractSourceFolderId(source, folderUrl) {
+  return source === 'google_drive' ? extractFolderId(folderUrl) : extractDropboxFolderId(folderUrl);
+}
+
+/**
+ * Import options for a schedule's runs, applied over its current options.
+ * Runs re-sync by default so each one only fetches new or changed files.
+ */
+async function scheduleOptions(req, source, current = {}) {
+  const options = { sync: true, tombstone_deleted: false, ...current };
+
+  for (const key of ['sync', 'tombstone_deleted']) {
+    if (req.body[key] !== undefined) options[key] = req.body[key];
+  }
+  options.tombstone_deleted = options.sync && options.tombstone_deleted;
+
+  const { filters, error } = filterOptions(req, current.filters);
+  if (error) {
+    return { error };
+  }
+  options.filters = filters;
+
+  for (const key of ['recursive', 'max_depth']) {
+    if (req.body[key] !== undefined) options[key] = req.body[key];
+  }
+  options.recursive = options.recursive === true;
+  options.max_depth = options.max_depth || MAX_FOLDER_DEPTH;
+
+  if (source !== 'google_drive') {
+    return { options };
+  }
+
+  if (req.body.credential_id === null) {
+    delete options.credential_id;
+  } else if (req.body.credential_id) {
+    await ensureRedisConnected();
+    const credential = await credentials.getCredential(redisClient, req.body.credential_id);
+    if (!credential) {
+      return { error: `Credential ${req.body.credential_id} not found` };
+    }
+    options.credential_id = credential.credential_id;
+  }
+
+  return { options };
+}
+
+/**
+ * POST /schedules
+ * Import a folder again and again, on a cron expression or every N minutes.
+ * Each run is a regular import job, queued onto import-service.
+ */
+app.post(
+  '/schedules',
+  [
+    body('folder_url')
+      .isURL()
+      .withMessage('folder_url must be a valid URL'),
+    body('source')
+      .isIn(['google_drive', 'dropbox'])
+      .withMessage('source must be one of: google_drive, dropbox'),
+    ...scheduleValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (process.env.ENABLE_QUEUE_WORKER !== 'true') {
+        return res.status(400).json({
+          error: 'Schedules require background workers (ENABLE_QUEUE_WORKER=true)'
+        });
+      }
+
+      const { folder_url, source } = req.body;
+
+      const folderId = extractSourceFolderId(source, folder_url);
+      if (!folderId) {
+        return res.status(400).json({ error: `Invalid ${source} folder URL` });
+      }
+
+      const timing = {
+        cron_expression: req.body.cron || null,
+        interval_minutes: req.body.interval_minutes || null,
+        timezone: req.body.timezone || 'UTC'
+      };
+
+      const invalid = scheduler.validateTiming(timing);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+
+      const { options, error } = await scheduleOptions(req, source);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const schedule = await db.createSchedule({
+        id: uuidv4(),
+        source,
+        folder_id: folderId,
+        folder_url,
+        ...timing,
+        options,
+        enabled: req.body.enabled !== false,
+        next_run_at: scheduler.computeNextRun(timing)
+      });
+
+      return res.status(201).json(scheduler.formatSchedule(schedule));
+    } catch (error) {
+      console.error('Error in /schedules:', error);
+      return res.status(500).json({
+        error: `Failed to create schedule: ${error.message}`
+      });
+    }
+  }
+);
+
+/**
+ * GET /schedules
+ * List import schedules, most recent first
+ */
+app.get(
+  '/schedules',
+  [
+    query('source').optional().isIn(['google_drive', 'dropbox']),
+    query('enabled').optional().isBoolean().toBoolean(),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { source, enabled = null, limit = 100, offset = 0 } = req.query;
+
+      const result = await db.listSchedules({
+        source: source || null,
+        enabled,
+        limit,
+        offset
+      });
+
+      return res.status(200).json({
+        schedules: result.schedules.map(schedule => scheduler.formatSchedule(schedule)),
+        total: result.total,
+        limit,
+        offset
+      });
+    } catch (error) {
+      console.error('Error in /schedules:', error);
+      return res.status(500).json({
+        error: `Failed to retrieve schedules: ${error.message}`
+      });
+    }
+  }
+);
+
+/**
+ * GET /schedules/:id
+ * One schedule with the jobs of its most recent runs
+ */
+app.get(
+  '/schedules/:id',
+  [
+    param('id').isUUID().withMessage('id must be a valid schedule ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const schedule = await db.getSchedule(req.params.id);
+      if (!schedule) {
+        return res.status(404).json({ error: `Schedule ${req.params.id} not found` });
+      }
+
+      const runs = await db.listScheduleRuns(schedule.id);
+
+      return res.status(200).json(scheduler.formatSchedule(schedule, runs));
+    } catch (error) {
+      console.error('Error in /schedules/:id:', error);
+      return res.status(500).json({
+        error: `Failed to retrieve schedule: ${error.message}`
+      });
+    }
+  }
+);
+
+/**
+ * PATCH /schedules/:id
+ * Change a schedule's folder, timing or import options, or pause it with
+ * { "enabled": false }. Changing the timing or re-enabling moves the next run.
+ */
+app.patch(
+  '/schedules/:id',
+  [
+    param('id').isUUID().withMessage('id must be a valid schedule ID'),
+    body('folder_url')
+      .optional()
+      .isURL()
+      .withMessage('folder_url must be a valid URL'),
+    ...scheduleValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existing = await db.getSchedule(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: `Schedule ${req.params.id} not found` });
+      }
+
+      const changes = {};
+
+      if (req.body.folder_url !== undefined) {
+        const folderId = extractSourceFolderId(existing.source, req.body.folder_url);
+        if (!folderId) {
+          return res.status(400).json({ error: `Invalid ${existing.source} folder URL` });
+        }
+        changes.folder_url = req.body.folder_url;
+        changes.folder_id = folderId;
+      }
+
+      const timing = {
+        cron_expression: existing.cron_expression,
+        interval_minutes: existing.interval_minutes,
+        timezone: existing.timezone
+      };
+
+      // Setting one kind of timing replaces the other
+      if (req.body.cron !== undefined || req.body.interval_minutes !== undefined) {
+        timing.cron_expression = req.body.cron || null;
+        timing.interval_minutes = req.body.interval_minutes || null;
+      }
+      if (req.body.timezone !== undefined) {
+        timing.timezone = req.body.timezone;
+      }
+
+      const timingChanged = ['cron', 'interval_minutes', 'timezone'].some(key => req.body[key] !== undefined);
+      if (timingChanged) {
+        const invalid = scheduler.validateTiming(timing);
+        if (invalid) {
+          return res.status(400).json({ error: invalid });
+        }
+        Object.assign(changes, timing);
+      }
+
+      const { options, error } = await scheduleOptions(req, existing.source, existing.options);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      changes.options = options;
+
+      if (req.body.enabled !== undefined) {
+        changes.enabled = req.body.enabled;
+      }
+
+      if (timingChanged || (changes.enabled && !existing.enabled)) {
+        changes.next_run_at = scheduler.computeNextRun(timing);
+      }
+
+      const schedule = await db.updateSchedule(existing.id, changes);
+      if (!schedule) {
+        return res.status(404).json({ error: `Schedule ${req.params.id} not found` });
+      }
+
+      return res.status(200).json(scheduler.formatSchedule(schedule));
+    } catch (error) {
+      console.error('Error in /schedules/:id:', error);
+      return res.status(500).json({
+        error: `Failed to update schedule: ${error.message}`
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /schedules/:id
+ * Stop and remove a schedule. Jobs it already started are kept.
+ */
+app.delete(
+  '/schedules/:id',
+  [
+    param('id').isUUID().withMessage('id must be a valid schedule ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const deleted = await db.deleteSchedule(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ error: `Schedule ${req.params.id} not found` });
+      }
+
+      return res.status(204).end();
+    } catch (error) {
+      console.error('Error in /schedules/:id:', error);
+      return res.status(500).json({
+        error: `Failed to delete schedule: ${error.message}`
+      });
+    }
+  }
+);
+
+/**
+ * Base of absolute URLs handed to clients. Set PUBLIC_API_URL when a proxy
+ * in front of the API changes the host or protocol.
+ */
+function publicBaseUrl(req) {
+  return (process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+/**
+ * GET /images/:id/download URL of an image, signed to expire (see downloadTokens.js)
+ */
+function signedDownloadUrl(req, imageId, { expires = null, disposition = null } = {}) {
+  const params = new URLSearchParams(downloadToken(imageId, { expires }));
+  if (disposition) params.set('disposition', disposition);
+
+  return `${publicBaseUrl(req)}/images/${imageId}/download?${params}`;
+}
+
+/**
+ * Shape an image row for API responses: stored derivatives become
+ * thumbnail URLs served by GET /images/:id/thumbnail, and the original is
+ * linked through GET /images/:id/download
+ */
+function formatImage(req, image) {
+  const { derivatives, ...formatted } = image;
+
+  formatted.download_url = signedDownloadUrl(req, image.id);
+  formatted.thumbnails = null;
+  formatted.thumbnail_url = null;
+
+  if (derivatives) {
+    const base = `${publicBaseUrl(req)}/images/${image.id}/thumbnail`;
+    // The content hash makes the URL change with the content, so it can be cached for good
+    const version = image.content_hash ? `&v=${image.content_hash}` : '';
+
+    formatted.thumbnails = {};
+    for (const [size, formats] of Object.entries(derivatives)) {
+      formatted.thumbnails[size] = {};
+      for (const format of Object.keys(formats)) {
+        formatted.thumbnails[size][format] = `${base}?size=${size}&format=${format}${version}`;
+      }
+    }
+
+    formatted.thumbnail_url = formatted.thumbnails['400'] ? formatted.thumbnails['400'].webp : null;
+  }
+
+  return formatted;
+}
+
+/**
+ * GET /images
+ * Get list of all imported images with metadata
+ */
+app.get(
+  '/images',
+  [
+    query('source').optional().isIn(['google_drive', 'dropbox', 'url']),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt(),
+    query('include_deleted').optional().isBoolean().toBoolean(),
+    query('taken_after').optional().isISO8601().withMessage('taken_after must be an ISO 8601 date').toDate(),
+    query('taken_before').optional().isISO8601().withMessage('taken_before must be an ISO 8601 date').toDate(),
+    query('camera').optional().isString().isLength({ min: 1, max: 255 }),
+    query('min_width').optional().isInt({ min: 1 }).withMessage('min_width must be a positive integer').toInt(),
+    query('orientation').optional().isIn(['landscape', 'portrait', 'square']),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { source, limit = 100, offset = 0, include_deleted = false } = req.query;
+
+      // Get images from database
+      const result = await db.getImages({
+        source: source || null,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        includeDeleted: include_deleted,
+        takenAfter: req.query.taken_after || null,
+        takenBefore: req.query.taken_before || null,
+        camera: req.query.camera || null,
+        minWidth: req.query.min_width || null,
+        orientation: req.query.orientation || null
+      });
+
+      return res.status(200).json({
+        images: result.images.map(image => formatImage(req, image)),
+        total: result.total,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      });
+    } catch (error) {
+      console.error('Error in /images:', error);
+      return res.status(500).json({
+        error: `Failed to retrieve images: ${error.message}`
+      });
+    }
+  }
+);
+
+/**
+ * GET /images/:id/thumbnail
+ * A resized copy of an image (?size=200|400|1200, ?format=webp|jpeg).
+ * The URL names an image, whose content can change on re-import, so only
+ * URLs carrying the current content hash (?v=, as formatImage builds them)
+ * are cached for good; others are revalidated by ETag.
+ */
+app.get(
+  '/images/:id/thumbnail',
+  [
+    param('id').isInt({ min: 1 }).withMessage('id must be a valid image ID').toInt(),
+    query('size').optional().isIn(THUMBNAIL_SIZES).withMessage(`size must be one of: ${THUMBNAIL_SIZES.join(', ')}`),
+    query('format').optional().isIn(THUMBNAIL_FORMATS).withMessage(`format must be one of: ${THUMBNAIL_FORMATS.join(', ')}`),
+    query('v').optional().isHexadecimal().withMessage('v must be a content hash'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { size = '400', format = 'webp', v = null } = req.query;
+
+      const image = await db.getImage(req.params.id);
+      if (!image) {
+        return res.status(404).json({ error: `Image ${req.params.id} not found` });
+      }
+
+      const storagePath = image.derivatives && image.derivatives[size] && image.derivatives[size][format];
+      const stat = storagePath ? await storage.statObject(storagePath) : null;
+      if (!stat) {
+        return res.status(404).json({ error: `Image ${image.id} has no ${size}px ${format} thumbnail` });
+      }
+
+      const etag = `"${stat.etag}"`;
+
+      res.set({
+        'ETag': etag,
+        'Cache-Control': v && v === image.content_hash
+          ? 'public, max-age=31536000, immutable'
+          : 'public, no-cache'
+      });
+
+      if (req.get('If-None-Match') === etag) {
+        return res.status(304).end();
+      }
+
+      const object = await storage.getObject(storagePath);
+      if (!object) {
+        return res.status(404).json({ error: `Image ${image.id} has no ${size}px ${format} thumbnail` });
+      }
+
+      res.set({
+        'Content-Type': object.contentType,
+        'Content-Length': object.size
+      });
+
+      object.stream.on('error', (error) => {
+        console.error(`Error streaming thumbnail of image ${image.id}:`, error);
+        res.destroy(error);
+      });
+      object.stream.pipe(res);
+    } catch (error) {
+      console.error('Error in /images/:id/thumbnail:', error);
+      return res.status(500).json({
+        error: `Failed to retrieve thumbnail: ${error.message}`
+      });
+    }
+  }
+);
+
+// Types browsers only ever display as a picture. Anything else, SVG in
+// particular (it can carry scripts), is served as an attachment.
+const INLINE_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/bmp', 'image/avif'];
+
+/**
+ * Disposition an original is served with: the one asked for if its type is
+ * safe to show inline, attachment otherwise
+ */
+function servedDisposition(image, requested) {
+  return INLINE_IMAGE_TYPES.includes(image.mime_type) ? requested : 'attachment';
+}
+
+/**
+ * Content-Disposition header for serving a file as `type` (inline or attachment)
+ */
+function contentDisposition(type, fileName) {
+  if (!fileName) return type;
+
+  const asciiName = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${type}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
+
+// Token of a signed download link (see downloadTokens.js)
+const downloadTokenValidators = [
+  query('expires').optional().isInt({ min: 0 }).withMessage('expires must be a Unix time'),
+  query('signature').optional().isHexadecimal().withMessage('signature must be hexadecimal'),
+];
+
+/**
+ * GET /images/:id/download
+ * The stored original, streamed from the bucket (?disposition=inline|attachment).
+ * Supports single byte ranges, so browsers can resume and seek. Originals
+ * come from outside sources, so they are sandboxed and only raster types are
+ * shown inline.
+ */
+app.get(
+  '/images/:id/download',
+  [
+    param('id').isInt({ min: 1 }).withMessage('id must be a valid image ID').toInt(),
+    query('disposition').optional().isIn(['inline', 'attachment']),
+    ...downloadTokenValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const tokenError = checkDownloadToken(req.params.id, req.query);
+      if (tokenError) {
+        return res.status(403).json({ error: tokenError });
+      }
+
+      const { disposition = 'inline' } = req.query;
+
+      const image = await db.getImage(req.params.id);
+      if (!image || !image.storage_path) {
+        return res.status(404).json({ error: `Image ${req.params.id} not found` });
+      }
+
+      // Images the in-process Drive handler recorded by their Drive link
+      // were never copied to the bucket
+      if (!storage.parseStoragePath(image.storage_path)) {
+        return res.redirect(302, image.storage_path);
+      }
+
+      const stat = await storage.statObject(image.storage_path);
+      if (!stat) {
+        return res.status(404).json({ error: `The original of image ${image.id} is missing from storage` });
+      }
+
+      const etag = `"${stat.etag}"`;
+
+      res.set({
+        'Content-Type': image.mime_type || stat.contentType,
+        'Content-Disposition': contentDisposition(servedDisposition(image, disposition), image.name),
+        'X-Content-Type-Options': 'nosniff',
+        'Content-Security-Policy': "default-src 'none'; sandbox",
+        'Accept-Ranges': 'bytes',
+        'ETag': etag,
+        'Last-Modified': new Date(stat.lastModified).toUTCString(),
+        'Cache-Control': 'private, max-age=3600'
+      });
+
+      if (req.get('If-None-Match') === etag) {
+        return res.status(304).end();
+      }
+
+      // A Range only applies when If-Range (if sent) still matches the object;
+      // several ranges are answered with the whole file
+      const ranges = req.get('Range') && (!req.get('If-Range') || req.get('If-Range') === etag)
+        ? req.range(stat.size, { combine: true })
+        : null;
+
+      if (ranges === -1) {
+        res.set('Content-Range', `bytes */${stat.size}`);
+        return res.status(416).json({ error: `Range not satisfiable for ${stat.size} bytes` });
+      }
+
+      let stream;
+      if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+        const { start, end } = ranges[0];
+
+        stream = await storage.getObjectRange(image.storage_path, start, end);
+        res.status(206).set({
+          'Content-Range': `bytes ${start}-${end}/${stat.size}`,
+          'Content-Length': end - start + 1
+        });
+      } else {
+        stream = (await storage.getObject(image.storage_path)).stream;
+        res.set('Content-Length', stat.size);
+      }
+
+      stream.on('error', (error) => {
+        console.error(`Error streaming image ${image.id}:`, error);
+        res.destroy(error);
+      });
+      stream.pipe(res);
+    } catch (error) {
+      console.error('Error in /images/:id/download:', error);
+      return res.status(500).json({
+        error: `Failed to download image: ${error.message}`
+      });
+    }
+  }
+);
+
+/**
+ * GET /images/:id/url
+ * A short-lived presigned MinIO/S3 URL for the stored original
+ * (?expires_in=seconds, ?disposition=inline|attachment). Without
+ * MINIO_PUBLIC_URL objects cannot be signed for browsers, so the
+ * GET /images/:id/download URL is returned instead. Needs the token of the
+ * image's download_url, and never outlives it.
+ */
+app.get(
+  '/images/:id/url',
+  [
+    param('id').isInt({ min: 1 }).withMessage('id must be a valid image ID').toInt(),
+    query('expires_in').optional().isInt({ min: 60, max: 3600 }).withMessage('expires_in must be between 60 and 3600 seconds').toInt(),
+    query('disposition').optional().isIn(['inline', 'attachment']),
+    ...downloadTokenValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const tokenError = checkDownloadToken(req.params.id, req.query);
+      if (tokenError) {
+        return res.status(403).json({ error: tokenError });
+      }
+
+      const { disposition = 'inline' } = req.query;
+      const tokenExpires = parseInt(req.query.expires);
+      const expiresIn = Math.min(req.query.expires_in || 300, tokenExpires - Math.floor(Date.now() / 1000));
+
+      const image = await db.getImage(req.params.id);
+      if (!image || !image.storage_path) {
+        return res.status(404).json({ error: `Image ${req.params.id} not found` });
+      }
+
+      if (!storage.parseStoragePath(image.storage_path)) {
+        return res.status(200).json({ image_id: image.id, url: image.storage_path, type: 'source', expires_at: null });
+      }
+
+      // Presigned responses can't carry a sandbox, so other types are never inline
+      const served = servedDisposition(image, disposition);
+
+      const url = await storage.presignedUrl(image.storage_path, expiresIn, {
+        'response-content-type': image.mime_type || 'application/octet-stream',
+        'response-content-disposition': contentDisposition(served, image.name)
+      });
+
+      if (!url) {
+        return res.status(200).json({
+          image_id: image.id,
+          url: signedDownloadUrl(req, image.id, {
+            expires: tokenExpires,
+            disposition: served === 'attachment' ? 'attachment' : null
+          }),
+          type: 'download',
+          expires_at: new Date(tokenExpires * 1000).toISOString()
+        });
+      }
+
+      return res.status(200).json({
+        image_id: image.id,
+        url,
+        type: 'presigned',
+        expires_at: new Date(Date.now() + expiresIn * 1000).toISOString()
+      });
+    } catch (error) {
+      console.error('Error in /images/:id/url:', error);
+      return res.status(500).json({
+        error: `Failed to create image URL: ${error.message}`
+      });
+    }
+  }
+);
+
+/**
+ * GET /images/:id/render
+ * A copy of an image resized and cropped on request
+ * (?w=&h=&fit=cover|contain|inside|fill&format=webp|jpeg|png|avif&quality=).
+ * Sizes are limited to renderer.RENDER_SIZES; each render is made once and
+ * cached in the bucket.
+ */
+app.get(
+  '/images/:id/render',
+  [
+    param('id').isInt({ min: 1 }).withMessage('id must be a valid image ID').toInt(),
+    query('w').optional().isIn(renderer.RENDER_SIZES.map(String)).withMessage(`w must be one of: ${renderer.RENDER_SIZES.join(', ')}`).toInt(),
+    query('h').optional().isIn(renderer.RENDER_SIZES.map(String)).withMessage(`h must be one of: ${renderer.RENDER_SIZES.join(', ')}`).toInt(),
+    query('fit').optional().isIn(renderer.RENDER_FITS).withMessage(`fit must be one of: ${renderer.RENDER_FITS.join(', ')}`),
+    query('format').optional().isIn(renderer.RENDER_FORMATS).withMessage(`format must be one of: ${renderer.RENDER_FORMATS.join(', ')}`),
+    query('quality').optional().isIn(renderer.RENDER_QUALITIES.map(String)).withMessage(`quality must be one of: ${renderer.RENDER_QUALITIES.join(', ')}`).toInt(),
+    query('v').optional().isHexadecimal().withMessage('v must be a content hash'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { w = null, h = null, fit = 'cover', format = 'webp', quality = 80, v = null } = req.query;
+
+      if (!w && !h) {
+        return res.status(400).json({ error: 'At least one of w or h is required' });
+      }
+
+      const image = await db.getImage(req.params.id);
+      if (!image || !image.storage_path) {
+        return res.status(404).json({ error: `Image ${req.params.id} not found` });
+      }
+
+      // Originals stored before content hashing are told apart by their ETag
+      let objectEtag = null;
+      if (!image.content_hash) {
+        const stat = await storage.statObject(image.storage_path);
+        if (!stat) {
+          return res.status(404).json({ error: `The original of image ${image.id} is missing from storage` });
+        }
+        objectEtag = stat.etag;
+      }
+
+      const options = { width: w, height: h, fit, format, quality };
+      const key = renderer.renderKey(image, options, objectEtag);
+      const etag = renderer.renderEtag(key);
+
+      res.set({
+        'ETag': etag,
+        // The URL names an image, whose content can change on re-import:
+        // only URLs carrying the current content hash are cached for good
+        'Cache-Control': v && v === image.content_hash
+          ? 'public, max-age=31536000, immutable'
+          : 'public, no-cache'
+      });
+
+      if (req.get('If-None-Match') === etag) {
+        return res.status(304).end();
+      }
+
+      const render = await renderer.getRender(image, key, options);
+      if (!render) {
+        return res.status(404).json({ error: `The original of image ${image.id} is missing from storage` });
+      }
+
+      res.set('X-Render-Cache', render.cached ? 'HIT' : 'MISS');
+
+      if (!render.stream) {
+        return res.type(render.contentType).send(render.data);
+      }
+
+      res.set({
+        'Content-Type': render.contentType,
+        'Content-Length': render.size
+      });
+
+      render.stream.on('error', (error) => {
+        console.error(`Error streaming render of image ${image.id}:`, error);
+        res.destroy(error);
+      });
+      render.stream.pipe(res);
+    } catch (error) {
+      console.error('Error in /images/:id/render:', error);
+      return res.status(500).json({
+        error: `Failed to render image: ${error.message}`
+      });
+    }
+  }
+);
+
+/**
+ * GET /images/:id/similar
+ * Images that look like this one (resized, re-compressed or exact copies),
+ * closest first. threshold is the largest Hamming distance between the
+ * 64-bit perceptual hashes that still counts as similar.
+ */
+app.get(
+  '/images/:id/similar',
+  [
+    param('id').isInt({ min: 1 }).withMessage('id must be a valid image ID').toInt(),
+    query('threshold').optional().isInt({ min: 0, max: 32 }).withMessage('threshold must be between 0 and 32').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { threshold = 10, limit = 50 } = req.query;
+
+      const image = await db.getImage(req.params.id);
+      if (!image) {
+        return res.status(404).json({ error: `Image ${req.params.id} not found` });
+      }
+
+      if (!image.perceptual_hash) {
+        return res.status(409).json({
+          error: `Image ${image.id} has no perceptual hash (it could not be decoded or was imported before hashing was added)`
+        });
+      }
+
+      const images = await db.findSimilarImages(image.perceptual_hash, {
+        excludeId: image.id,
+        threshold,
+        limit
+      });
+
+      return res.status(200).json({
+        image_id: image.id,
+        perceptual_hash: image.perceptual_hash,
+        threshold,
+        images: images.map(image => formatImage(req, image))
+      });
+    } catch (error) {
+      console.error('Error in /images/:id/similar:', error);
+      return res.status(500).json({
+        error: `Failed to find similar images: ${error.message}`
+      });
+    }
+  }
+);
+
+/**
+ * GET /duplicates
+ * Clusters of near-identical images, largest first, to help clean them up
+ */
+app.get(
+  '/duplicates',
+  [
+    query('threshold').optional().isInt({ min: 0, max: 16 }).withMessage('threshold must be between 0 and 16').toInt(),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { threshold = 6, limit = 100, offset = 0 } = req.query;
+
+      // Clustering only needs IDs and hashes; full rows are loaded for the page
+      const clusters = await clusterImages(await db.getHashedImages(), threshold);
+      const page = clusters.slice(offset, offset + limit);
+
+      const rows = await db.getImagesByIds(page.flat().map(member => member.id));
+      const rowsById = new Map(rows.map(row => [row.id, row]));
+
+      return res.status(200).json({
+        clusters: page.map(members => ({
+          size: members.length,
+          images: members
+            .filter(member => rowsById.has(member.id))
+            .map(member => formatImage(req, { ...rowsById.get(member.id), distance: member.distance }))
+        })),
+        total: clusters.length,
+        duplicate_images: clusters.reduce((sum, images) => sum + images.length - 1, 0),
+        threshold,
+        limit,
+        offset
+      });
+    } catch (error) {
+      console.error('Error in /duplicates:', error);
+      return res.status(500).json({
+        error: `Failed to group duplicates: ${error.message}`
+      });
+    }
+  }
+);
+
+/**
+ * GET /sources
+ * Source folders imported so far, with how many of their files are stored.
+ * Re-post a folder_url with "sync": true to pick up its changes.
+ */
+app.get('/sources', async (req, res) => {
+  try {
+    await ensureRedisConnected();
+
+    const records = await redisClient.hVals(SOURCE_FOLDERS_KEY);
+    const sources = [];
+
+    for (const record of records) {
+      const folder = JSON.parse(record);
+      sources.push({
+        ...folder,
+        stored_files: await redisClient.hLen(`${SOURCE_FOLDER_FILES_PREFIX}${folder.source}:${folder.folder_id}`)
+      });
+    }
+
+    sources.sort((a, b) => b.last_imported_at.localeCompare(a.last_imported_at));
+
+    return res.status(200).json({ sources });
+  } catch (error) {
+    console.error('Error in /sources:', error);
+    return res.status(500).json({
+      error: `Failed to retrieve sources: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Queue a dead-lettered payload again. A finished job is reopened so the
+ * new result is counted. Returns 'retried', or 'job_cancelled' / 'gone'
+ * when it was not queued.
+ */
+async function requeueDeadLetter(entry) {
+  const { payload } = entry;
+  const job = payload.job_id ? await db.getJob(payload.job_id) : null;
+
+  // Workers skip the work of cancelled jobs anyway
+  if (job && job.status === 'cancelled') return 'job_cancelled';
+
+  // Taken out first, so only one request reopens the job and queues it
+  if (!(await deadLetters.purgeDeadLetters(redisClient, [entry]))) {
+    // Another request retried or purged it since it was read
+    console.warn(`Dead letter ${entry.id} was gone when retrying it (job ${payload.job_id || 'none'})`);
+    return 'gone';
+  }
+
+  let reopened = null;
+  let taskReset = false;
+  try {
+    // Reopened before the payload is queued: a worker may finish it at once,
+    // and its result must land on a running job, not be undone by the reopen.
+    // Rollbacks and tombstones have no task record.
+    if (job && !payload.action) {
+      if (entry.queue === FOLDER_IMPORT_QUEUE) {
+        reopened = await db.reopenJob(job.id, 'queued');
+      } else {
+        reopened = await db.reopenJob(job.id, 'downloading');
+        await db.recordTaskResult(job.id, payload.file_id, { status: 'pending', file_name: payload.file_name });
+        taskReset = true;
+      }
+    }
+
+    await deadLetters.retryDeadLetter(redisClient, entry);
+  } catch (error) {
+    // Leave the entry and its job as they were, so it can be retried later
+    try {
+      await deadLetters.restoreDeadLetter(redisClient, entry);
+      if (taskReset) {
+        await db.recordTaskResult(job.id, payload.file_id, { status: 'failed', file_name: payload.file_name, error: entry.error });
+      }
+      if (reopened) {
+        await db.updateJobStatus(job.id, job.status, { error: job.error, from: [reopened.status, 'completed'] });
+      }
+    } catch (restoreError) {
+      console.error(`Failed to restore dead letter ${entry.id} (job ${payload.job_id || 'none'}):`, restoreError.message);
+    }
+    throw error;
+  }
+
+  return 'retried';
+}
+
+const deadLetterQueueValidator = (location) => location('queue')
+  .optional()
+  .isIn(Object.keys(deadLetters.DEAD_LETTER_QUEUES))
+  .withMessage(`queue must be one of: ${Object.keys(deadLetters.DEAD_LETTER_QUEUES).join(', ')}`);
+
+/**
+ * GET /dead-letters
+ * Folder jobs and image tasks that failed for good, newest first
+ */
+app.get(
+  '/dead-letters',
+  [
+    deadLetterQueueValidator(query),
+    query('job_id').optional().isUUID().withMessage('job_id must be a valid job ID'),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { queue, job_id, limit = 100, offset = 0 } = req.query;
+
+      await ensureRedisConnected();
+
+      const entries = await deadLetters.findDeadLetters(redisClient, {
+        queues: queue ? [queue] : [],
+        jobId: job_id || null
+      });
+
+      return res.status(200).json({
+        dead_letters: entries.slice(offset, offset + limit).map(entry => deadLetters.formatDeadLetter(entry)),
+        total: entries.length,
+        limit,
+        offset
+      });
+    } catch (error) {
+      console.error('Error in /dead-letters:', error);
+      return res.status(500).json({
+        error: `Failed to retrieve dead letters: ${error.message}`
+      });
+    }
+  }
+);
+
+/**
+ * GET /dead-letters/:id
+ * One dead letter with its original payload and error stack
+ */
+app.get(
+  '/dead-letters/:id',
+  [
+    param('id').isUUID().withMessage('id must be a valid dead letter ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await ensureRedisConnected();
+
+      const entry = await deadLetters.getDeadLetter(redisClient, req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: `Dead letter ${req.params.id} not found` });
+      }
+
+      return res.status(200).json(deadLetters.formatDeadLetter(entry, { details: true }));
+    } catch (error) {
+      console.error('Error in /dead-letters/:id:', error);
+      return res.status(500).json({
+        error: `Failed to retrieve dead letter: ${error.message}`
+      });
+    }
+  }
+);
+
+/**
+ * POST /dead-letters/retry
+ * Queue many dead letters again: those listed in `ids`, or all matching
+ * `queue` and/or `job_id`
+ */
+app.post(
+  '/dead-letters/retry',
+  [
+    body('ids').optional().isArray({ min: 1, max: 1000 }).withMessage('ids must be a list of 1 to 1000 dead letter IDs'),
+    body('ids.*').isUUID().withMessage('ids must be dead letter IDs'),
+    deadLetterQueueValidator(body),
+    body('job_id').optional().isUUID().withMessage('job_id must be a valid job ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { ids, queue, job_id } = req.body;
+
+      if (!ids && !queue && !job_id) {
+        return res.status(400).json({ error: 'Provide ids, queue or job_id to choose what to retry' });
+      }
+
+      await ensureRedisConnected();
+
+      let entries = await deadLetters.findDeadLetters(redisClient, {
+        queues: queue ? [queue] : [],
+        jobId: job_id || null
+      });
+      if (ids) {
+        entries = entries.filter(entry => ids.includes(entry.id));
+      }
+
+      const retried = [];
+      const skipped = [];
+
+      for (const entry of entries) {
+        const outcome = await requeueDeadLetter(entry);
+        if (outcome === 'retried') {
+          retried.push(entry.id);
+        } else {
+          skipped.push({ id: entry.id, reason: outcome });
+        }
+      }
+
+      // IDs that matched nothing were retried or purged already
+      if (ids) {
+        const found = new Set(entries.map(entry => entry.id));
+        skipped.push(...ids.filter(id => !found.has(id)).map(id => ({ id, reason: 'gone' })));
+      }
+
+      return res.status(200).json({ retried, skipped });
+    } catch (error) {
+      console.error('Error in /dead-letters/retry:', error);
+      return res.status(500).json({
+        error: `Failed to retry dead letters: ${error.message}`
+      });
+    }
+  }
+);
+
+/**
+ * POST /dead-letters/:id/retry
+ * Queue one dead letter again
+ */
+app.post(
+  '/dead-letters/:id/retry',
+  [
+    param('id').isUUID().withMessage('id must be a valid dead letter ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await ensureRedisConnected();
+
+      const entry = await deadLetters.getDeadLetter(redisClient, req.params.id);
+      const outcome = entry ? await requeueDeadLetter(entry) : 'gone';
+
+      if (outcome === 'gone') {
+        return res.status(404).json({ error: `Dead letter ${req.params.id} not found` });
+      }
+      if (outcome === 'job_cancelled') {
+        return res.status(409).json({ error: `Job ${entry.job_id} was cancelled; purge the dead letter instead` });
+      }
+
+      return res.status(202).json({
+        id: entry.id,
+        queue: deadLetters.formatDeadLetter(entry).queue,
+        job_id: entry.job_id,
+        status: 'queued'
+      });
+    } catch (error) {
+      console.error('Error in /dead-letters/:id/retry:', error);
+      return res.status(500).json({
+        error: `Failed to retry dead letter: ${error.message}`
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /dead-letters/:id
+ * Drop one dead letter without retrying it
+ */
+app.delete(
+  '/dead-letters/:id',
+  [
+    param('id').isUUID().withMessage('id must be a valid dead letter ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      await ensureRedisConnected();
+
+      const entry = await deadLetters.getDeadLetter(redisClient, req.params.id);
+      if (!entry || !(await deadLetters.purgeDeadLetters(redisClient, [entry]))) {
+        return res.status(404).json({ error: `Dead letter ${req.params.id} not found` });
+      }
+
+      return res.status(204).end();
+    } catch (error) {
+      console.error('Error in /dead-letters/:id:', error);
+      return res.status(500).json({
+        error: `Failed to purge dead letter: ${error.message}`
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /dead-letters
+ * Drop the dead letters matching `queue` and/or `job_id`, or every one
+ * with all=true
+ */
+app.delete(
+  '/dead-letters',
+  [
+    deadLetterQueueValidator(query),
+    query('job_id').optional().isUUID().withMessage('job_id must be a valid job ID'),
+    query('all').optional().isBoolean().toBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { queue, job_id, all = false } = req.query;
+
+      if (!queue && !job_id && !all) {
+        return res.status(400).json({ error: 'Provide queue or job_id, or all=true to purge every dead letter' });
+      }
+
+      await ensureRedisConnected();
+
+      const entries = await deadLetters.findDeadLetters(redisClient, {
+        queues: queue ? [queue] : [],
+        jobId: job_id || null
+      });
+
+      return res.status(200).json({
+        purged: await deadLetters.purgeDeadLetters(redisClient, entries)
+      });
+    } catch (error) {
+      console.error('Error in DELETE /dead-letters:', error);
+      return res.status(500).json({
+        error: `Failed to purge dead letters: ${error.message}`
+      });
+    }
+  }
+);
+
+/**
+ * Milliseconds left of each provider cooldown in progress
+ */
+async function getProviderCooldowns() {
+  const cooldowns = {};
+
+  for (const provider of ['google_drive', 'dropbox', 'http']) {
+    const remaining = await redisClient.pTTL(`${PROVIDER_COOLDOWN_PREFIX}${provider}`);
+    if (remaining > 0) {
+      cooldowns[provider] = { remaining_ms: remaining, reason: await redisClient.get(`${PROVIDER_COOLDOWN_PREFIX}${provider}`) };
+    }
+  }
+
+  return cooldowns;
+}
+
+/**
+ * GET /workers
+ * Running worker-service processes with their concurrency, in-flight tasks
+ * (per source) and tasks waiting on a rate limit, plus the image task queue
+ * length and provider cooldowns, to size deployments
+ */
+app.get('/workers', async (req, res) => {
+  try {
+    await ensureRedisConnected();
+
+    const records = await redisClient.hGetAll(WORKER_STATS_KEY);
+    const workers = [];
+    const stale = [];
+
+    for (const [workerId, record] of Object.entries(records)) {
+      const stats = JSON.parse(record);
+      if (Date.now() - new Date(stats.updated_at).getTime() > WORKER_STATS_TTL_MS) {
+        stale.push(workerId);
+      } else {
+        workers.push(stats);
+      }
+    }
+
+    // Workers that stopped without cleaning up (crashed or killed)
+    if (stale.length) {
+      await redisClient.hDel(WORKER_STATS_KEY, stale);
+    }
+
+    workers.sort((a, b) => a.worker_id.localeCompare(b.worker_id));
+
+    const inFlightBySource = {};
+    for (const worker of workers) {
+      for (const [source, count] of Object.entries(worker.in_flight_by_source)) {
+        inFlightBySource[source] = (inFlightBySource[source] || 0) + count;
+      }
+    }
+
+    return res.status(200).json({
+      workers,
+      totals: {
+        workers: workers.length,
+        concurrency: workers.reduce((sum, worker) => sum + worker.concurrency, 0),
+        in_flight: workers.reduce((sum, worker) => sum + worker.in_flight, 0),
+        in_flight_by_source: inFlightBySource,
+        queued_tasks: await redisClient.lLen(IMAGE_TASK_QUEUE)
+      },
+      provider_cooldowns: await getProviderCooldowns()
+    });
+  } catch (error) {
+    console.error('Error in /workers:', error);
+    return res.status(500).json({
+      error: `Failed to retrieve workers: ${error.message}`
+    });
+  }
+});
+
+/**
+ * GET /jobs
+ * List import jobs, most recent first
+ */
+app.get(
+  '/jobs',
+  [
+    query('status').optional().isIn(['queued', 'listing', 'downloading', 'paused', 'completed', 'failed', 'cancelled']),
+    query('source').optional().isIn(['google_drive', 'dropbox', 'url']),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { status, source, limit = 100, offset = 0 } = req.query;
+
+      const result = await db.listJobs({
+        status: status || null,
+        source: source || null,
+        limit,
+        offset
+      });
+
+      return res.status(200).json({
+        jobs: result.jobs.map(job => formatJob(job)),
+        total: result.total,
+        limit,
+        offset
+      });
+    } catch (error) {
+      console.error('Error in /jobs:', error);
+      return res.status(500).json({
+        error: `Failed to retrieve jobs: ${error.message}`
+      });
+    }
+  }
+);
+
+/**
+ * GET /jobs/:id
+ * Status, file counts, timestamps, per-file errors and skipped duplicates of one import job
+ */
+app.get(
+  '/jobs/:id',
+  [
+    param('id').isUUID().withMessage('id must be a valid job ID'),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const job = await db.getJob(req.params.id);
+      if (!job) {
+        return res.status(404).json({ error: `Job ${req.params.id} not found` });
+      }
+
+      const failedTasks = await db.getJobTasks(job.id, { status: 'failed' });
+      const duplicateTasks = await db.getJobTasks(job.id, { duplicate: true });
+
+      return res.status(200).json(formatJob(job, failedTasks, duplicateTasks));
+    } catch (error) {
+      console.error('Error in /jobs/:id:', error);
+      return res.status(500).json({
+        error: `Failed to retrieve job: ${error.message}`
+      });
+    }
+  }
+);
+
+/**
+ * GET /jobs/:id/files
+ * Every file of a job with its own status, e.g. the URLs of a URL import
+ */
+app.get(
+  '/jobs/:id/files',
+  [
+    param('id').isUUID().withMessage('id must be a valid job ID'),
+    query('status').optional().isIn(['pending', 'succeeded', 'failed', 'cancelled', 'rolled_back']),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const job = await db.getJob(req.params.id);
+      if (!job) {
+        return res.status(404).json({ error: `Job ${req.params.id} not found` });
+      }
+
+      const tasks = await db.getJobTasks(job.id, { status: req.query.status || null });
+
+      return res.status(200).json({
+        job_id: job.id,
+        status: job.status,
+        files: tasks.map(task => ({
+          file_id: task.file_id,
+          file_name: task.file_name,
+          url: task.source_url,
+          status: task.status,
+          error: task.error,
+          storage_path: task.storage_path,
+          duplicate_of: task.duplicate_of,
+          updated_at: task.updated_at
+        })),
+        total: tasks.length
+      });
+    } catch (error) {
+      console.error('Error in /jobs/:id/files:', error);
+      return res.status(500).json({
+        error: `Failed to retrieve job files: ${error.message}`
+      });
+    }
+  }
+);
+
+/**
+ * GET /jobs/:id/events
+ * Live progress of one import job as Server-Sent Events
+ * Sends the current job state first, then folder_listed, file_downloaded,
+ * file_stored, file_failed, job_paused, job_resumed and finally
+ * job_completed, job_failed or job_cancelled
+ */
+app.get(
+  '/jobs/:id/events',
+  [
+    param('id').isUUID().withMessage('id must be a valid job ID'),
+  ],
+  async (req, res) => {
+    let closeStream = () => res.end();
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const existing = await db.getJob(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: `Job ${req.params.id} not found` });
+      }
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+      });
+      res.flushHeaders();
+
+      const send = (type, data) => {
+        res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+      };
+
+      let heartbeat = null;
+      let unsubscribe = () => {};
+      let closed = false;
+
+      const close = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+      };
+      closeStream = close;
+
+      // Registered before anything is awaited, so a client leaving at any
+      // point removes its subscription
+      req.on('close', close);
+
+      // Subscribe before reading the snapshot so no event falls in between
+      unsubscribe = subscribeToJob(existing.id, (event) => {
+        send(event.type, event);
+        if (['job_completed', 'job_failed', 'job_cancelled'].includes(event.type)) {
+          close();
+        }
+      });
+
+      const job = await db.getJob(existing.id);
+      if (closed) return;
+      send('status', formatJob(job));
+
+      if (FINISHED_JOB_STATUSES.includes(job.status)) {
+        return close();
+      }
+
+      heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    } catch (error) {
+      console.error('Error in /jobs/:id/events:', error);
+      if (!res.headersSent) {
+        return res.status(500).json({
+          error: `Failed to stream job events: ${error.message}`
+        });
+      }
+      closeStream();
+    }
+  }
+);
+
+/**
+ * Run a pause/resume/cancel action on a job and report the result
+ * 409 when the job exists but is not in a state the action applies to
+ */
+async function handleJobControl(req, res, action) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await db.getJob(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: `Job ${req.params.id} not found` });
+    }
+
+    if (process.env.ENABLE_QUEUE_WORKER === 'true') {
+      await ensureRedisConnected();
+    }
+
+    let job;
+    if (action === 'pause') {
+      job = await jobControl.pauseJob(redisClient, existing.id);
+    } else if (action === 'resume') {
+      job = await jobControl.resumeJob(redisClient, existing.id);
+    } else {
+      job = await jobControl.cancelJob(redisClient, existing.id, {
+        rollback: req.body.rollback === true
+      });
+    }
+
+    if (!job) {
+      return res.status(409).json({
+        error: `Cannot ${action} job ${existing.id} while it is ${existing.status}`
+      });
+    }
+
+    const eventType = { pause: 'job_paused', resume: 'job_resumed', cancel: 'job_cancelled' }[action];
+    await notifyJobEvent(eventType, job);
+    if (job.status === 'completed') {
+      await notifyJobEvent('job_completed', job);
+    }
+
+    return res.status(200).json(formatJob(job));
+  } catch (error) {
+    console.error(`Error in /jobs/:id/${action}:`, error);
+    return res.status(500).json({
+      error: `Failed to ${action} job: ${error.message}`
+    });
+  }
+}
+
+/**
+ * POST /jobs/:id/pause
+ * Stop expanding and downloading a job until it is resumed
+ */
+app.post(
+  '/jobs/:id/pause',
+  [
+    param('id').isUUID().withMessage('id must be a valid job ID'),
+  ],
+  (req, res) => handleJobControl(req, res, 'pause')
+);
+
+/**
+ * POST /jobs/:id/resume
+ * Continue a paused job
+ */
+app.post(
+  '/jobs/:id/resume',
+  [
+    param('id').isUUID().withMessage('id must be a valid job ID'),
+  ],
+  (req, res) => handleJobControl(req, res, 'resume')
+);
+
+/**
+ * POST /jobs/:id/cancel
+ * Stop a job for good. Body { "rollback": true } also removes the
+ * images it already stored.
+ */
+app.post(
+  '/jobs/:id/cancel',
+  [
+    param('id').isUUID().withMessage('id must be a valid job ID'),
+    body('rollback').optional().isBoolean().withMessage('rollback must be a boolean').toBoolean(),
+  ],
+  (req, res) => handleJobControl(req, res, 'cancel')
+);
+
+/**
+ * GET /health
+ * Health check endpoint
+ */
+app.get('/health', async (req, res) => {
+  try {
+    const health = {
+      status: 'healthy',
+      service: 'api-service',
+      queue_worker_enabled: process.env.ENABLE_QUEUE_WORKER === 'true'
+    };
+    
+    // Check Redis connection (optional - only if queue worker is enabled)
+    if (process.env.ENABLE_QUEUE_WORKER === 'true') {
+      try {
+        await redisClient.ping();
+        health.redis = 'connected';
+      } catch (error) {
+        health.redis = 'disconnected';
+        health.warning = 'Redis not available but queue worker is enabled';
+      }
+    }
+    
+    return res.status(200).json(health);
+  } catch (error) {
+    return res.status(503).json({
+      status: 'unhealthy',
+      error: error.message
+    });
+  }
+});
+
+// Start server
+app.listen(PORT, '0.0.0.0', () => {
+  console.log(`API Service running on port ${PORT}`);
+});
+
+// Graceful shutdown
+process.on('SIGTERM', async () => {
+  console.log('SIGTERM signal received: closing HTTP server');
+  await redisClient.quit();
+  process.exit(0);
+});
+
+// Apply progress reported by import-service and worker-service to the jobs
+// tables. Started whatever ENABLE_QUEUE_WORKER says: Dropbox imports are always
+// queued, and folder jobs themselves are consumed by import-service only.
+startJobEventConsumer(redisClient).catch(err => {
+  console.error('Failed to start job event consumer:', err);
+});
+
+// Fire recurring imports; only one instance claims each run
+scheduler.startScheduler(({ schedule, job }) =>
+  enqueueFolderJob(folderJobData(job.id, schedule.source, schedule.folder_id, schedule.folder_url, schedule.options))
+).catch(err => {
+  console.error('Failed to start scheduler:', err);
+});
+
+// ENABLE_QUEUE_WORKER=true says import-service and worker-service are deployed.
+// Without it Google Drive folders are imported in this process instead
+// (for Render free tier) and features needing the workers are refused.
+if (process.env.ENABLE_QUEUE_WORKER !== 'true') {
+  console.log('Queue worker disabled (ENABLE_QUEUE_WORKER not set to true)');
+  console.log('API service running in web-only mode (suitable for Render free tier)');
+}
 
 module.exports = app;
 
@@ -0,0 +1,230 @@
+/**
+ * Storage - MinIO/S3 access for api-service
+ * worker-service records stored objects as s3://<bucket>/<object name>;
+ * this reads them back (and stores rendered sizes). Like worker-service it
+ * uses AWS S3 when USE_AWS_S3=true and MinIO otherwise, so both services
+ * must be given the same storage settings.
+ */
+const Minio = require('minio');
+const AWS = require('aws-sdk');
+
+const USE_AWS_S3 = process.env.USE_AWS_S3 === 'true';
+const UPLOAD_PART_SIZE = parseInt(process.env.UPLOAD_PART_SIZE || String(8 * 1024 * 1024));
+
+let minioClient = null;
+let publicMinioClient;
+let s3Client = null;
+
+function getMinioClient() {
+  if (!minioClient) {
+    const endpoint = process.env.MINIO_ENDPOINT;
+    if (!endpoint) {
+      throw new Error('MINIO_ENDPOINT environment variable is not set. MinIO client cannot be initialized.');
+    }
+
+    // Accept "host", "host:port" or a URL, like worker-service does
+    const [endPoint, port] = endpoint.replace('https://', '').replace('http://', '').split(':');
+
+    minioClient = new Minio.Client({
+      endPoint: endPoint,
+      port: parseInt(port || process.env.MINIO_PORT || '9000'),
+      useSSL: process.env.MINIO_USE_SSL === 'true',
+      accessKey: process.env.MINIO_ACCESS_KEY || 'minioadmin',
+      secretKey: process.env.MINIO_SECRET_KEY || 'minioadmin',
+      // Streams are uploaded in parts of this size, one part in memory at a time
+      partSize: UPLOAD_PART_SIZE
+    });
+  }
+  return minioClient;
+}
+
+function getS3Client() {
+  if (!s3Client) {
+    s3Client = new AWS.S3({
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+      region: process.env.AWS_REGION || 'us-east-1'
+    });
+  }
+  return s3Client;
+}
+
+/**
+ * Client for signing URLs that browsers open. Presigned URLs are only valid
+ * for the host they were signed for, so this uses MINIO_PUBLIC_URL (the
+ * address clients reach MinIO/S3 at). Null when it is not set.
+ */
+function getPublicMinioClient() {
+  if (publicMinioClient === undefined) {
+    const publicUrl = process.env.MINIO_PUBLIC_URL;
+
+    if (!publicUrl) {
+      publicMinioClient = null;
+    } else {
+      const url = new URL(publicUrl);
+      const useSSL = url.protocol === 'https:';
+
+      publicMinioClient = new Minio.Client({
+        endPoint: url.hostname,
+        port: parseInt(url.port || (useSSL ? '443' : '80')),
+        useSSL,
+        accessKey: process.env.MINIO_ACCESS_KEY || 'minioadmin',
+        secretKey: process.env.MINIO_SECRET_KEY || 'minioadmin',
+        // Known up front, so signing never has to ask the public host
+        region: process.env.MINIO_REGION || 'us-east-1'
+      });
+    }
+  }
+  return publicMinioClient;
+}
+
+function getBucket() {
+  return USE_AWS_S3 ? (process.env.AWS_S3_BUCKET || '') : (process.env.MINIO_BUCKET || 'images');
+}
+
+/**
+ * Bucket and object name of an s3://bucket/object path, or null for any other path
+ */
+function parseStoragePath(storagePath) {
+  const match = /^s3:\/\/([^/]+)\/(.+)$/.exec(storagePath || '');
+  return match ? { bucket: match[1], objectName: match[2] } : null;
+}
+
+/**
+ * Size, etag, content type and modification time of a stored object
+ * Returns null if it does not exist
+ */
+async function statObject(storagePath) {
+  const location = parseStoragePath(storagePath);
+  if (!location) return null;
+
+  if (USE_AWS_S3) {
+    let head;
+    try {
+      head = await getS3Client().headObject({ Bucket: location.bucket, Key: location.objectName }).promise();
+    } catch (error) {
+      if (error.code === 'NotFound' || error.code === 'NoSuchKey') return null;
+      throw error;
+    }
+
+    return {
+      size: head.ContentLength,
+      // S3 quotes its etags, MinIO's client does not
+      etag: (head.ETag || '').replace(/"/g, ''),
+      contentType: head.ContentType || 'application/octet-stream',
+      lastModified: head.LastModified
+    };
+  }
+
+  let stat;
+  try {
+    stat = await getMinioClient().statObject(location.bucket, location.objectName);
+  } catch (error) {
+    if (error.code === 'NotFound' || error.code === 'NoSuchKey') return null;
+    throw error;
+  }
+
+  return {
+    size: stat.size,
+    etag: stat.etag,
+    contentType: (stat.metaData && stat.metaData['content-type']) || 'application/octet-stream',
+    lastModified: stat.lastModified
+  };
+}
+
+/**
+ * Open a stored object for reading
+ * Returns { stream, size, etag, contentType }, or null if it does not exist
+ */
+async function getObject(storagePath) {
+  const stat = await statObject(storagePath);
+  if (!stat) return null;
+
+  const location = parseStoragePath(storagePath);
+  const stream = USE_AWS_S3
+    ? getS3Client().getObject({ Bucket: location.bucket, Key: location.objectName }).createReadStream()
+    : await getMinioClient().getObject(location.bucket, location.objectName);
+
+  return { stream, ...stat };
+}
+
+/**
+ * Stream bytes `start` to `end` (inclusive) of a stored object
+ */
+async function getObjectRange(storagePath, start, end) {
+  const location = parseStoragePath(storagePath);
+  if (USE_AWS_S3) {
+    return getS3Client().getObject({
+      Bucket: location.bucket,
+      Key: location.objectName,
+      Range: `bytes=${start}-${end}`
+    }).createReadStream();
+  }
+  return getMinioClient().getPartialObject(location.bucket, location.objectName, start, end - start + 1);
+}
+
+/**
+ * URL a browser can fetch a stored object from for `expirySeconds`, without
+ * credentials. `responseHeaders` (e.g. response-content-disposition) are
+ * applied by MinIO/S3 when the URL is opened. With MinIO, null when
+ * MINIO_PUBLIC_URL is not set, as a URL signed for the internal endpoint
+ * would not resolve; S3 URLs are public already.
+ */
+async function presignedUrl(storagePath, expirySeconds, responseHeaders = {}) {
+  const location = parseStoragePath(storagePath);
+
+  if (USE_AWS_S3) {
+    if (!location) return null;
+
+    const params = { Bucket: location.bucket, Key: location.objectName, Expires: expirySeconds };
+    // response-content-type -> ResponseContentType
+    for (const [header, value] of Object.entries(responseHeaders)) {
+      params[header.split('-').map(part => part[0].toUpperCase() + part.slice(1)).join('')] = value;
+    }
+    return getS3Client().getSignedUrlPromise('getObject', params);
+  }
+
+  const client = getPublicMinioClient();
+  if (!location || !client) return null;
+
+  return client.presignedGetObject(location.bucket, location.objectName, expirySeconds, responseHeaders);
+}
+
+/**
+ * Store a buffer or stream under `objectName` in the images bucket. Streams
+ * larger than a part are sent as a multipart upload; pass `size` when known.
+ * Returns its s3://bucket/object path
+ */
+async function putObject(objectName, data, contentType, size = Buffer.isBuffer(data) ? data.length : undefined) {
+  const bucket = getBucket();
+
+  if (USE_AWS_S3) {
+    await getS3Client().upload({
+      Bucket: bucket,
+      Key: objectName,
+      Body: data,
+      ContentLength: size,
+      ContentType: contentType
+    }, {
+      partSize: UPLOAD_PART_SIZE,
+      queueSize: 2
+    }).promise();
+  } else {
+    await getMinioClient().putObject(bucket, objectName, data, size, {
+      'Content-Type': contentType
+    });
+  }
+
+  return `s3://${bucket}/${objectName}`;
+}
+
+module.exports = {
+  getMinioClient,
+  getBucket,
+  parseStoragePath,
+  statObject,
+  getObject,
+  getObjectRange,
+  presignedUrl,
+  putObject
+};
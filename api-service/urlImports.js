@@ -0,0 +1,162 @@
+/**
+ * URL Imports - Images imported from plain HTTP(S) URLs, such as partner CDNs
+ * The API checks each URL and queues it as an image task of its own;
+ * worker-service downloads it, refusing non-public addresses (after DNS
+ * resolution and on every redirect) and files over the size limit.
+ */
+const crypto = require('crypto');
+const net = require('net');
+const path = require('path');
+const { isBlockedAddress } = require('../shared/blockedAddresses');
+
+// Most URLs one POST /import/urls may submit
+const URL_IMPORT_MAX_URLS = parseInt(process.env.URL_IMPORT_MAX_URLS || '1000');
+const MAX_URL_LENGTH = 2048;
+
+// Names that resolve to this host or an internal network
+const BLOCKED_HOST_NAMES = /(^|\.)(localhost|local|internal)$/i;
+
+/**
+ * Check a URL submitted for import. Returns { url } (normalized) or { error }.
+ * Host names are resolved by worker-service when it connects, so here only
+ * addresses written into the URL can be refused.
+ */
+function checkImportUrl(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return { error: 'URL must be a non-empty string' };
+  }
+  if (value.length > MAX_URL_LENGTH) {
+    return { error: `URL must be at most ${MAX_URL_LENGTH} characters` };
+  }
+
+  let url;
+  try {
+    url = new URL(value.trim());
+  } catch (error) {
+    return { error: 'Not a valid URL' };
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return { error: 'Only http and https URLs can be imported' };
+  }
+  if (url.username || url.password) {
+    return { error: 'URLs with credentials are not accepted' };
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) ? isBlockedAddress(host) : BLOCKED_HOST_NAMES.test(host)) {
+    return { error: `${host} is not a public address` };
+  }
+
+  url.hash = '';
+  return { url: url.href };
+}
+
+/**
+ * Name an image from a URL is stored under: the last path segment, or the
+ * host name when the path has none
+ */
+function urlFileName(url) {
+  const { pathname, hostname } = new URL(url);
+  let name = path.posix.basename(pathname);
+
+  try {
+    name = decodeURIComponent(name);
+  } catch (error) {
+    // Keep the name as written
+  }
+
+  return (name || hostname).slice(0, 255);
+}
+
+/**
+ * Check every URL of a request. Returns the files to import
+ * ([{ file_id, file_name, source_url }]) and one entry per submitted URL:
+ * { index, url, file_id } when accepted, { index, url, error } otherwise.
+ * A file's ID is the SHA-256 of its URL, so the same URL is the same file.
+ */
+function checkUrlList(urls) {
+  const files = [];
+  const entries = [];
+  const seen = new Map(); // file ID -> index of the first entry with it
+
+  urls.forEach((value, index) => {
+    const { url, error } = checkImportUrl(value);
+    if (error) {
+      entries.push({ index, url: value, error });
+      return;
+    }
+
+    const fileId = crypto.createHash('sha256').update(url).digest('hex');
+    if (seen.has(fileId)) {
+      entries.push({ index, url, error: `Same URL as entry ${seen.get(fileId)}` });
+      return;
+    }
+    seen.set(fileId, index);
+
+    files.push({ file_id: fileId, file_name: urlFileName(url), source_url: url });
+    entries.push({ index, url, file_id: fileId });
+  });
+
+  return { files, entries };
+}
+
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  cells.push(cell);
+  return cells;
+}
+
+/**
+ * URLs of an uploaded list: one per line, or with `csv` the `url` column
+ * (the first column when there is no header row naming one). Blank lines
+ * and lines starting with # are skipped.
+ */
+function parseUrlList(text, { csv = false } = {}) {
+  const lines = text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+
+  if (!csv) return lines;
+
+  const rows = lines.map(splitCsvLine);
+  let column = 0;
+
+  const header = rows.length ? rows[0].map(cell => cell.trim().toLowerCase()) : [];
+  if (header.includes('url')) {
+    column = header.indexOf('url');
+    rows.shift();
+  }
+
+  return rows.map(row => (row[column] || '').trim());
+}
+
+module.exports = {
+  URL_IMPORT_MAX_URLS,
+  checkUrlList,
+  parseUrlList
+};
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
 import './index.css';
 
@@ -36,11 +36,23 @@ function App() {
   const [limit] = useState(20);
   const [offset, setOffset] = useState(0);
   const [loadingImages, setLoadingImages] = useState(false);
+  const [jobProgress, setJobProgress] = useState(null);
+  const jobEventsRef = useRef(null);
+  const refreshTimerRef = useRef(null);
+  const fetchImagesRef = useRef(null);
 
   useEffect(() => {
     fetchImages();
   }, [filter, offset]);
 
+  // Stop listening to job progress when the page goes away
+  useEffect(() => {
+    return () => {
+      if (jobEventsRef.current) jobEventsRef.current.close();
+      clearTimeout(refreshTimerRef.current);
+    };
+  }, []);
+
   const fetchImages = async () => {
     setLoadingImages(true);
     try {
@@ -62,6 +74,74 @@ function App() {
     }
   };
 
+  // Event listeners outlive renders, so always call the latest fetchImages
+  fetchImagesRef.current = fetchImages;
+
+  // Refresh the list at most once a second while files keep arriving
+  const scheduleRefresh = () => {
+    if (refreshTimerRef.current) return;
+    refreshTimerRef.current = setTimeout(() => {
+      refreshTimerRef.current = null;
+      fetchImagesRef.current();
+    }, 1000);
+  };
+
+  const finishJob = (job) => {
+    if (jobEventsRef.current) {
+      jobEventsRef.current.close();
+      jobEventsRef.current = null;
+    }
+    fetchImagesRef.current();
+
+    if (job.status === 'failed') {
+      setMessage({
+        type: 'error',
+        text: `Import job ${job.job_id} failed: ${job.error || 'unknown error'}`
+      });
+    } else if (job.status === 'cancelled') {
+      setMessage({
+        type: 'info',
+        text: `Import job ${job.job_id} was cancelled.`
+      });
+    } else {
+      setMessage({
+        type: 'success',
+        text: `Import complete: ${job.counts.succeeded} of ${job.counts.total} images imported` +
+          (job.counts.duplicates ? `, ${job.counts.duplicates} already stored` : '') +
+          (job.counts.failed ? `, ${job.counts.failed} failed.` : '.')
+      });
+    }
+  };
+
+  // Follow a job's progress over Server-Sent Events
+  const watchJob = (jobId) => {
+    if (jobEventsRef.current) {
+      jobEventsRef.current.close();
+    }
+
+    const events = new EventSource(`${API_BASE_URL}/jobs/${jobId}/events`);
+    jobEventsRef.current = events;
+
+    const handleEvent = (e) => {
+      const data = JSON.parse(e.data);
+      // The initial 'status' event is the job itself, later events carry it in `job`
+      const job = data.job || data;
+      setJobProgress(job);
+
+      if (e.type === 'file_stored') {
+        scheduleRefresh();
+      }
+
+      if (['completed', 'failed', 'cancelled'].includes(job.status)) {
+        finishJob(job);
+      }
+    };
+
+    ['status', 'folder_listed', 'file_downloaded', 'file_stored', 'file_failed',
+      'job_paused', 'job_resumed', 'job_completed', 'job_failed', 'job_cancelled']
+      .forEach(type => events.addEventListener(type, handleEvent));
+  };
+
   const handleImport = async (e) => {
     e.preventDefault();
     if (!folderUrl.trim()) {
@@ -86,11 +166,8 @@ function App() {
       });
 
       setFolderUrl('');
-      
-      // Refresh images after a short delay
-      setTimeout(() => {
-        fetchImages();
-      }, 2000);
+      setJobProgress(null);
+      watchJob(response.data.job_id);
     } catch (error) {
       console.error('Error importing:', error);
       let errorMessage = 'Failed to import images. Please check the URL and try again.';
@@ -135,16 +212,37 @@ function App() {
 
   // Generate Google Drive thumbnail URL
   const getImageThumbnail = (image) => {
+    // Generated by the workers for every source
+    if (image.thumbnail_url) {
+      return image.thumbnail_url;
+    }
     if (image.google_drive_id) {
-      // Google Drive thumbnail (free, no API key needed for public files)
+      // Imported without background workers: only Google Drive's own thumbnail exists
       return `https://drive.google.com/thumbnail?id=${image.google_drive_id}&sz=w400`;
-    } else if (image.dropbox_id) {
-      // Dropbox thumbnail would go here if needed
-      return null;
     }
     return null;
   };
 
+  // The stored original, served by the API (the bucket itself is private)
+  const getImageUrl = (image) => {
+    if (image.download_url) {
+      return image.download_url;
+    }
+    if (image.google_drive_id) {
+      return `https://drive.google.com/file/d/${image.google_drive_id}/view`;
+    }
+    return null;
+  };
+
+  // Lets the browser pick the smallest thumbnail that is sharp enough
+  const getThumbnailSrcSet = (image) => {
+    if (!image.thumbnails) return undefined;
+    return Object.entries(image.thumbnails)
+      .filter(([, formats]) => formats.webp)
+      .map(([size, formats]) => `${formats.webp} ${size}w`)
+      .join(', ');
+  };
+
   const handleFilterChange = (e) => {
     setFilter(e.target.value);
     setOffset(0);
@@ -196,6 +294,19 @@ function App() {
             {message.text}
           </div>
         )}
+
+        {jobProgress && (
+          <div className="alert alert-info">
+            <strong>Job status:</strong> {jobProgress.status}
+            {jobProgress.counts.total > 0 && (
+              <span>
+                {' '}&mdash; {jobProgress.counts.succeeded} of {jobProgress.counts.total} imported
+                {jobProgress.counts.duplicates > 0 && `, ${jobProgress.counts.duplicates} duplicates`}
+                {jobProgress.counts.failed > 0 && `, ${jobProgress.counts.failed} failed`}
+              </span>
+            )}
+          </div>
+        )}
       </div>
 
       <div className="card">
@@ -219,18 +330,21 @@ function App() {
             <div className="images-grid">
               {images.map((image) => {
                 const thumbnailUrl = getImageThumbnail(image);
+                const imageUrl = getImageUrl(image);
                 return (
                   <div key={image.id} className="image-card">
                     {thumbnailUrl ? (
                       <div className="image-preview">
                         <a 
-                          href={image.storage_path || `https://drive.google.com/file/d/${image.google_drive_id}/view`}
+                          href={imageUrl}
                           target="_blank"
                           rel="noopener noreferrer"
                           style={{ width: '100%', height: '100%', display: 'block' }}
                         >
                           <img 
                             src={thumbnailUrl} 
+                            srcSet={getThumbnailSrcSet(image)}
+                            sizes="(max-width: 600px) 100vw, 300px"
                             alt={image.name}
                             onError={(e) => {
                               // Fallback if thumbnail fails
@@ -243,7 +357,7 @@ function App() {
                           <span>📷</span>
                           <p>Preview unavailable</p>
                           <a 
-                            href={image.storage_path || `https://drive.google.com/file/d/${image.google_drive_id}/view`}
+                            href={imageUrl}
                             target="_blank"
                             rel="noopener noreferrer"
                             style={{ color: '#667eea', marginTop: '10px', textDecoration: 'none' }}
@@ -257,9 +371,9 @@ function App() {
                         <div className="image-placeholder">
                           <span>📷</span>
                           <p>No preview</p>
-                          {image.storage_path && (
+                          {imageUrl && (
                             <a 
-                              href={image.storage_path}
+                              href={imageUrl}
                               target="_blank"
                               rel="noopener noreferrer"
                               style={{ color: '#667eea', marginTop: '10px', textDecoration: 'none' }}
@@ -280,10 +394,20 @@ function App() {
                     <div className="meta">
                       <strong>Type:</strong> {image.mime_type}
                     </div>
-                    {image.storage_path && (
+                    {image.download_url && (
+                      <div className="meta">
+                        <a 
+                          href={`${image.download_url}&disposition=attachment`} 
+                          style={{ color: '#667eea', textDecoration: 'none' }}
+                        >
+                          Download original ↓
+                        </a>
+                      </div>
+                    )}
+                    {image.google_drive_id && (
                       <div className="meta">
                         <a 
-                          href={image.storage_path} 
+                          href={`https://drive.google.com/file/d/${image.google_drive_id}/view`} 
                           target="_blank" 
                           rel="noopener noreferrer"
                           style={{ color: '#667eea', textDecoration: 'none' }}
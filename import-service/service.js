@@ -6,7 +6,15 @@
 require('dotenv').config();
 
 const redis = require('redis');
+const axios = require('axios');
 const { google } = require('googleapis');
+const jobParking = require('../shared/jobParking');
+const reliableQueue = require('../shared/reliableQueue');
+const deadLetters = require('../shared/deadLetters');
+const { ProviderError, handleProviderError, waitForCooldown } = require('../shared/providerErrors');
+const dropbox = require('../shared/dropbox');
+const { applyImportFilters } = require('../shared/importFilters');
+const { CredentialClientCache } = require('../shared/driveCredentials');
 
 // Configuration
 const REDIS_HOST = process.env.REDIS_HOST || 'redis';
@@ -14,11 +22,32 @@ const REDIS_PORT = process.env.REDIS_PORT || 6379;
 const REDIS_DB = process.env.REDIS_DB || 0;
 
 const FOLDER_IMPORT_QUEUE = 'folder_import_queue'; // Read from this queue
+const IMPORT_PREVIEW_QUEUE = 'import_preview_queue'; // Dry runs requested by api-service (POST /import/preview)
 const IMAGE_TASK_QUEUE = 'image_task_queue'; // Push to this queue
+const JOB_EVENTS_QUEUE = 'job_events_queue'; // Report job progress to api-service
+const SOURCE_FOLDERS_KEY = 'source_folders'; // Hash: '<source>:<folder_id>' -> folder record
+const SOURCE_FOLDER_FILES_PREFIX = 'source_folder_files:'; // Hash per folder: file ID -> stored version
 
 const GOOGLE_DRIVE_API_KEY = process.env.GOOGLE_DRIVE_API_KEY || '';
+const DRIVE_FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const DRIVE_SHORTCUT_MIME_TYPE = 'application/vnd.google-apps.shortcut';
+// Ceiling for recursive imports, whatever depth the request asks for
+const MAX_FOLDER_DEPTH = parseInt(process.env.MAX_FOLDER_DEPTH || '10');
+
+const DROPBOX_ACCESS_TOKEN = process.env.DROPBOX_ACCESS_TOKEN || '';
+// Overridable to send API calls through a proxy
+const DROPBOX_API_BASE_URL = process.env.DROPBOX_API_BASE_URL || 'https://api.dropboxapi.com';
 
 const QUEUE_TIMEOUT = 5; // seconds
+// Files listed per category in a preview; counts and totals cover them all
+const PREVIEW_FILE_LIMIT = 1000;
+// Listing requests are retried on errors that may go away (server errors,
+// network failures), with exponential backoff
+const LIST_RETRIES = 3;
+const LIST_RETRY_DELAY_MS = 2000;
+// Rate-limited requests wait for the provider and do not use up LIST_RETRIES,
+// up to this many
+const MAX_RATE_LIMITED_RETRIES = 10;
 
 // Initialize Redis client
 const redisClient = redis.createClient({
@@ -33,15 +62,161 @@ redisClient.on('connect', () => {
   console.log('Import Service Redis Client Connected');
 });
 
+/**
+ * Report job progress to api-service, which records it in the jobs tables.
+ * Tracking is best-effort: a failure here must not fail the import itself.
+ */
+async function publishJobEvent(event) {
+  try {
+    await redisClient.rPush(JOB_EVENTS_QUEUE, JSON.stringify({
+      ...event,
+      at: new Date().toISOString()
+    }));
+  } catch (error) {
+    console.error(`Failed to publish ${event.type} event for job ${event.job_id}: ${error.message}`);
+  }
+}
+
+/**
+ * Keep a job that failed for good, with its error, for inspection and
+ * retry through api-service (/dead-letters). A failure to record it is only
+ * logged: the job is acknowledged either way.
+ */
+async function deadLetter(queue, payload, error, details) {
+  try {
+    await deadLetters.addDeadLetter(redisClient, queue, payload, error, details);
+  } catch (deadLetterError) {
+    console.error(`Failed to dead-letter ${payload.file_name || payload.job_id}: ${deadLetterError.message}`);
+  }
+}
+
+/**
+ * Make one listing request to a provider, retrying it while the error may go
+ * away. Permanent errors (folder not found, no access) are thrown at once.
+ */
+async function withProviderRetry(provider, request) {
+  let attempt = 0;
+  let rateLimitedAttempts = 0;
+
+  for (;;) {
+    await waitForCooldown(redisClient, provider);
+
+    try {
+      return await request();
+    } catch (requestError) {
+      const error = await handleProviderError(redisClient, provider, requestError);
+
+      // The next request waits for the cooldown, so try again straight away
+      if (error instanceof ProviderError && error.rateLimited && rateLimitedAttempts < MAX_RATE_LIMITED_RETRIES) {
+        rateLimitedAttempts++;
+        continue;
+      }
+
+      attempt++;
+      if ((error instanceof ProviderError && !error.retryable) || attempt >= LIST_RETRIES) {
+        throw error;
+      }
+
+      // Wait as long as the provider asked, otherwise back off exponentially
+      const delay = error instanceof ProviderError && error.retryAfterMs !== null
+        ? error.retryAfterMs
+        : LIST_RETRY_DELAY_MS * Math.pow(2, attempt - 1);
+      console.warn(`${provider} listing request failed (${error.message}), retrying in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Remember a folder that has been imported, so it can be re-synced later
+ */
+async function rememberSourceFolder(job) {
+  const key = `${job.source}:${job.folder_id}`;
+  const existing = await redisClient.hGet(SOURCE_FOLDERS_KEY, key);
+  const now = new Date().toISOString();
+
+  const record = {
+    ...(existing ? JSON.parse(existing) : { first_imported_at: now }),
+    source: job.source,
+    folder_id: job.folder_id,
+    folder_url: job.folder_url,
+    last_job_id: job.job_id,
+    last_imported_at: now,
+    ...(job.sync ? { last_synced_at: now } : {})
+  };
+
+  await redisClient.hSet(SOURCE_FOLDERS_KEY, key, JSON.stringify(record));
+}
+
+/**
+ * Version of a listed file as the worker records it once stored
+ */
+function getSourceVersion(file) {
+  return {
+    md5_checksum: file.md5Checksum || null,
+    modified_time: file.modifiedTime || null,
+    rev: file.rev || null
+  };
+}
+
+/**
+ * Whether a listed file differs from the version stored by a previous import.
+ * Dropbox revisions and Drive checksums identify content; Drive files without
+ * a checksum (e.g. some shortcuts) fall back to their modification time.
+ */
+function hasSourceChanged(version, stored) {
+  if (version.rev || stored.rev) {
+    return version.rev !== stored.rev;
+  }
+  if (version.md5_checksum && stored.md5_checksum) {
+    return version.md5_checksum !== stored.md5_checksum;
+  }
+  return version.modified_time !== stored.modified_time;
+}
+
+/**
+ * Compare a fresh listing with what earlier imports of the folder stored
+ * Returns the files to queue plus the unchanged and deleted ones
+ */
+async function diffAgainstStored(job, files) {
+  const stored = await redisClient.hGetAll(`${SOURCE_FOLDER_FILES_PREFIX}${job.source}:${job.folder_id}`);
+  const listedIds = new Set();
+  const changed = [];
+  let unchanged = 0;
+
+  for (const file of files) {
+    const fileId = file.id || file.fileId;
+    listedIds.add(fileId);
+
+    if (stored[fileId] && !hasSourceChanged(getSourceVersion(file), JSON.parse(stored[fileId]))) {
+      unchanged++;
+    } else {
+      changed.push(file);
+    }
+  }
+
+  const deleted = Object.entries(stored)
+    .filter(([fileId]) => !listedIds.has(fileId))
+    .map(([fileId, record]) => ({ file_id: fileId, file_name: JSON.parse(record).file_name }));
+
+  return { changed, unchanged, deleted };
+}
+
 /**
  * Google Drive Client
  */
 class GoogleDriveClient {
-  constructor() {
+  /**
+   * @param auth optional auth client for private folders (see shared/driveCredentials.js);
+   *             public folders use GOOGLE_DRIVE_API_KEY
+   */
+  constructor(auth = null) {
     this.apiKey = GOOGLE_DRIVE_API_KEY;
     this.drive = null;
     
-    if (this.apiKey) {
+    if (auth) {
+      this.drive = google.drive({ version: 'v3', auth });
+    } else if (this.apiKey) {
       try {
         this.drive = google.drive({
           version: 'v3',
@@ -56,50 +231,167 @@ class GoogleDriveClient {
     }
   }
 
-  async listFilesInFolder(folderId) {
-    const files = [];
-    let pageToken = null;
-
+  /**
+   * List image files in a folder. With `recursive`, subfolders (and folder
+   * shortcuts) are walked breadth-first up to `maxDepth` levels below the
+   * root; every file carries its folder path relative to the root.
+   */
+  async listFilesInFolder(folderId, { recursive = false, maxDepth = MAX_FOLDER_DEPTH } = {}) {
     try {
       if (!this.drive) {
         throw new Error('Google Drive API service not available');
       }
 
-      do {
-        const response = await this.drive.files.list({
-          q: `'${folderId}' in parents and mimeType contains 'image/' and trashed=false`,
-          fields: 'nextPageToken, files(id, name, mimeType, size)',
-          pageToken: pageToken,
-          supportsAllDrives: true,
-          includeItemsFromAllDrives: true
-        });
-
-        files.push(...(response.data.files || []));
-        pageToken = response.data.nextPageToken;
-      } while (pageToken);
+      const files = [];
+      const seenFiles = new Set();
+      // Shortcuts and multi-parent folders can form cycles
+      const visitedFolders = new Set([folderId]);
+      const pendingFolders = [{ id: folderId, path: '', depth: 0 }];
+
+      while (pendingFolders.length) {
+        const folder = pendingFolders.shift();
+        const children = await this.listFolderChildren(folder.id, recursive);
+
+        for (const child of children) {
+          let id = child.id;
+          let mimeType = child.mimeType;
+
+          if (mimeType === DRIVE_SHORTCUT_MIME_TYPE && child.shortcutDetails) {
+            id = child.shortcutDetails.targetId;
+            mimeType = child.shortcutDetails.targetMimeType;
+          }
+
+          if (mimeType === DRIVE_FOLDER_MIME_TYPE) {
+            if (!recursive || visitedFolders.has(id)) continue;
+
+            if (folder.depth + 1 > maxDepth) {
+              console.warn(`Skipping folder ${child.name} (${id}): deeper than ${maxDepth} levels`);
+              continue;
+            }
+
+            visitedFolders.add(id);
+            // '/' separates path segments, so it can't appear inside a folder name
+            const name = child.name.replace(/\//g, '_');
+            pendingFolders.push({
+              id,
+              path: folder.path ? `${folder.path}/${name}` : name,
+              depth: folder.depth + 1
+            });
+          } else if (mimeType && mimeType.startsWith('image/') && !seenFiles.has(id)) {
+            seenFiles.add(id);
+            files.push({
+              id,
+              name: child.name,
+              mimeType,
+              size: child.size,
+              md5Checksum: child.md5Checksum,
+              modifiedTime: child.modifiedTime,
+              folderPath: folder.path
+            });
+          }
+        }
+      }
 
-      console.log(`Found ${files.length} image files in folder ${folderId}`);
-      
-      // Filter only image files
-      return files.filter(f => f.mimeType && f.mimeType.startsWith('image/'));
+      console.log(`Found ${files.length} image files in folder ${folderId} (${visitedFolders.size} folders)`);
+      return files;
     } catch (error) {
       console.error(`Error listing files in folder ${folderId}: ${error.message}`);
       throw error;
     }
   }
+
+  /**
+   * One folder's direct children: images, plus subfolders and shortcuts when walking
+   */
+  async listFolderChildren(folderId, includeFolders) {
+    const children = [];
+    let pageToken = null;
+
+    const typeFilter = includeFolders
+      ? `(mimeType contains 'image/' or mimeType = '${DRIVE_FOLDER_MIME_TYPE}' or mimeType = '${DRIVE_SHORTCUT_MIME_TYPE}')`
+      : `mimeType contains 'image/'`;
+
+    do {
+      const response = await withProviderRetry('google_drive', () => this.drive.files.list({
+        q: `'${folderId}' in parents and ${typeFilter} and trashed=false`,
+        fields: 'nextPageToken, files(id, name, mimeType, size, md5Checksum, modifiedTime, shortcutDetails)',
+        pageToken: pageToken,
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: true
+      }));
+
+      children.push(...(response.data.files || []));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    return children;
+  }
 }
 
 /**
- * Dropbox Client (Bonus feature - simplified)
+ * Dropbox Client (Bonus feature)
+ * Lists shared folders through the Dropbox API v2 shared-link endpoints
  */
 class DropboxClient {
-  async listFilesInFolder(folderId, folderUrl) {
-    // Simplified implementation - would need Dropbox API for full functionality
-    console.warn('Dropbox folder listing requires Dropbox API. Returning empty list.');
-    return [];
+  constructor() {
+    this.accessToken = DROPBOX_ACCESS_TOKEN;
+    this.apiBaseUrl = DROPBOX_API_BASE_URL.replace(/\/+$/, '');
+
+    if (!this.accessToken) {
+      console.warn('Dropbox access token not set. Dropbox imports will fail.');
+    }
+  }
+
+  async request(endpoint, body) {
+    const response = await withProviderRetry('dropbox', () => axios.post(`${this.apiBaseUrl}${endpoint}`, body, {
+      headers: {
+        Authorization: `Bearer ${this.accessToken}`,
+        'Content-Type': 'application/json'
+      }
+    }));
+
+    return response.data;
+  }
+
+  /**
+   * List the image files of a shared folder; paths are relative to the link
+   */
+  async listFilesInFolder(folderId, folderUrl, { recursive = false, maxDepth = MAX_FOLDER_DEPTH } = {}) {
+    try {
+      if (!this.accessToken) {
+        throw new ProviderError('Dropbox access token not configured', { provider: 'dropbox' });
+      }
+
+      const files = await dropbox.listSharedFolder(
+        (endpoint, body) => this.request(endpoint, body),
+        folderUrl,
+        { recursive, maxDepth }
+      );
+
+      console.log(`Found ${files.length} image files in Dropbox folder ${folderId}`);
+      return files;
+    } catch (error) {
+      console.error(`Error listing Dropbox folder ${folderId}: ${error.message}`);
+      throw error;
+    }
   }
 }
 
+/**
+ * A listed file as shown in an import preview
+ */
+function previewFile(file, reason = null) {
+  return {
+    file_id: file.id || file.fileId,
+    file_name: file.name,
+    folder_path: file.folderPath || '',
+    mime_type: file.mimeType || null,
+    size: file.size ? parseInt(file.size) : null,
+    modified_at: file.modifiedTime || null,
+    ...(reason ? { reason } : {})
+  };
+}
+
 /**
  * Import Service
  */
@@ -107,49 +399,260 @@ class ImportService {
   constructor() {
     this.driveClient = new GoogleDriveClient();
     this.dropboxClient = new DropboxClient();
+    // Private folders: credentials stored encrypted by api-service
+    this.credentialDriveClients = new CredentialClientCache(redisClient, google, auth => new GoogleDriveClient(auth));
+  }
+
+  async getDriveClient(credentialId) {
+    if (!credentialId) {
+      return this.driveClient;
+    }
+
+    return this.credentialDriveClients.get(credentialId);
+  }
+
+  /**
+   * List the image files of a job's source folder
+   */
+  async listJobFiles(job) {
+    const options = {
+      recursive: job.recursive === true,
+      maxDepth: Math.min(job.max_depth || MAX_FOLDER_DEPTH, MAX_FOLDER_DEPTH)
+    };
+
+    if (job.source === 'dropbox') {
+      return this.dropboxClient.listFilesInFolder(job.folder_id, job.folder_url, options);
+    }
+
+    const driveClient = await this.getDriveClient(job.credential_id);
+    return driveClient.listFilesInFolder(job.folder_id, options);
+  }
+
+  /**
+   * What processFolderJob would queue for `job`, worked out the same way
+   * but without queueing, storing or reporting anything
+   */
+  async previewFolderJob(job) {
+    const listed = await this.listJobFiles(job);
+
+    // Files earlier imports stored and that have not changed since; only a
+    // sync skips them, other imports fetch them again
+    const diff = await diffAgainstStored(job, listed);
+    const changed = new Set(diff.changed);
+    const unchanged = listed.filter(file => !changed.has(file));
+
+    const filtered = applyImportFilters(job.sync ? diff.changed : listed, job.filters);
+
+    const mimeTypes = {};
+    for (const file of filtered.files) {
+      const type = file.mimeType || 'unknown';
+      mimeTypes[type] = mimeTypes[type] || { count: 0, bytes: 0 };
+      mimeTypes[type].count++;
+      mimeTypes[type].bytes += file.size ? parseInt(file.size) : 0;
+    }
+
+    return {
+      listed: listed.length,
+      files: {
+        count: filtered.files.length,
+        total_bytes: filtered.report.selected_bytes,
+        mime_types: mimeTypes,
+        previously_imported: job.sync ? 0 : filtered.files.filter(file => !changed.has(file)).length,
+        list: filtered.files.slice(0, PREVIEW_FILE_LIMIT).map(file => previewFile(file))
+      },
+      skipped: {
+        already_imported: {
+          count: job.sync ? unchanged.length : 0,
+          files: job.sync ? unchanged.slice(0, PREVIEW_FILE_LIMIT).map(file => previewFile(file)) : []
+        },
+        filtered: {
+          count: filtered.skipped.length,
+          files: filtered.skipped.slice(0, PREVIEW_FILE_LIMIT).map(({ file, reason }) => previewFile(file, reason))
+        }
+      },
+      filtered: filtered.report,
+      ...(job.sync ? {
+        deleted: {
+          count: diff.deleted.length,
+          files: diff.deleted.slice(0, PREVIEW_FILE_LIMIT)
+        }
+      } : {})
+    };
   }
 
   async processFolderJob(job) {
     console.log(`Processing folder job: ${job.job_id} (${job.source})`);
+
+    const control = await jobParking.getJobControl(redisClient, job.job_id);
+    if (control && control.state === 'cancelled') {
+      console.log(`Skipping cancelled folder job ${job.job_id}`);
+      return;
+    }
+    if (control && control.state === 'paused') {
+      if (await jobParking.parkJobItem(redisClient, job.job_id, FOLDER_IMPORT_QUEUE, job)) {
+        console.log(`Parked paused folder job ${job.job_id}`);
+      }
+      return;
+    }
+
+    await publishJobEvent({ type: 'job_started', job_id: job.job_id });
     
     try {
-      let files = [];
+      let files = await this.listJobFiles(job);
 
-      // List files from folder based on source
-      if (job.source === 'dropbox') {
-        files = await this.dropboxClient.listFilesInFolder(job.folder_id, job.folder_url);
-      } else {
-        files = await this.driveClient.listFilesInFolder(job.folder_id);
+      console.log(`Found ${files.length} images in folder ${job.folder_id}`);
+
+      await rememberSourceFolder(job);
+
+      // Sync mode only queues what is new or changed since the last import
+      let deleted = [];
+      let unchanged = 0;
+      if (job.sync) {
+        const diff = await diffAgainstStored(job, files);
+        files = diff.changed;
+        deleted = diff.deleted;
+        unchanged = diff.unchanged;
+        console.log(`Sync of ${job.folder_id}: ${files.length} new or changed, ${unchanged} unchanged, ${deleted.length} deleted at source`);
       }
 
-      console.log(`Found ${files.length} images in folder ${job.folder_id}`);
+      // Limits and filters only decide what is queued; a file they leave out
+      // is not treated as deleted by a sync
+      const filtered = applyImportFilters(files, job.filters);
+      files = filtered.files;
+      if (filtered.report.selected < filtered.report.listed) {
+        console.log(`Folder job ${job.job_id}: queueing ${filtered.report.selected} of ${filtered.report.listed} files (${filtered.report.over_limit} over the limits)`);
+      }
+
+      // Announce the full file list before queueing so every task has a record
+      await publishJobEvent({
+        type: 'folder_listed',
+        job_id: job.job_id,
+        files: files.map(file => ({
+          file_id: file.id || file.fileId,
+          file_name: file.name
+        })),
+        filtered: filtered.report,
+        ...(job.sync ? {
+          sync: {
+            unchanged,
+            deleted,
+            tombstoned: job.tombstone_deleted === true
+          }
+        } : {})
+      });
 
       // Push each image as a task to worker queue
+      let queued = 0;
+      let parked = 0;
+
       for (const file of files) {
+        // Stop expanding as soon as the job is cancelled; park the rest if it's paused
+        const control = await jobParking.getJobControl(redisClient, job.job_id);
+        if (control && control.state === 'cancelled') {
+          console.log(`Folder job ${job.job_id} cancelled, stopped after queueing ${queued} images`);
+          break;
+        }
+
         const imageTask = {
           job_id: job.job_id,
           folder_id: job.folder_id,
           folder_url: job.folder_url,
           file_id: file.id || file.fileId,
           file_name: file.name,
+          file_path: file.path, // Dropbox only: path inside the shared folder
+          folder_path: file.folderPath || '', // Subfolder path for recursive imports
+          credential_id: job.credential_id, // Private Drive folders
           mime_type: file.mimeType || 'image/jpeg',
           file_size: file.size ? parseInt(file.size) : null,
+          source_version: getSourceVersion(file), // Compared by later syncs
           source: job.source
         };
 
+        if (control && control.state === 'paused') {
+          // Queued after all if the job was resumed in the meantime
+          if (await jobParking.parkJobItem(redisClient, job.job_id, IMAGE_TASK_QUEUE, imageTask)) {
+            parked++;
+          } else {
+            queued++;
+          }
+          continue;
+        }
+
         // Push to worker queue (FIFO)
-        await redisClient.rPush(IMAGE_TASK_QUEUE, JSON.stringify(imageTask));
+        await redisClient.rPush(IMAGE_TASK_QUEUE, reliableQueue.encodeTask(imageTask));
+        queued++;
         console.log(`Queued image task: ${file.name}`);
       }
 
-      console.log(`Completed processing folder job ${job.job_id}: ${files.length} images queued`);
+      // Mark images whose source file is gone, if the sync asked for it
+      if (job.tombstone_deleted && deleted.length) {
+        for (const file of deleted) {
+          await redisClient.rPush(IMAGE_TASK_QUEUE, reliableQueue.encodeTask({
+            action: 'tombstone',
+            job_id: job.job_id,
+            folder_id: job.folder_id,
+            file_id: file.file_id,
+            file_name: file.file_name,
+            source: job.source
+          }));
+        }
+        console.log(`Queued ${deleted.length} tombstones for folder job ${job.job_id}`);
+      }
+
+      console.log(`Completed processing folder job ${job.job_id}: ${queued} images queued, ${parked} parked`);
     } catch (error) {
       console.error(`Error processing folder job ${job.job_id}: ${error.message}`);
+      await publishJobEvent({ type: 'job_failed', job_id: job.job_id, error: error.message });
       throw error;
     }
   }
 }
 
+/**
+ * Answer dry-run requests from api-service next to the folder job loop, so
+ * previews are not held up by a long import. Requests are not retried: one
+ * lost with a stopped instance times out on the api-service side.
+ */
+async function previewLoop(importService) {
+  // Blocking pops get their own connection, next to the folder job loop's
+  const previewClient = redisClient.duplicate();
+  previewClient.on('error', (err) => console.error('Preview Redis Client Error', err));
+  await previewClient.connect();
+
+  while (true) {
+    try {
+      const item = await previewClient.blPop(IMPORT_PREVIEW_QUEUE, QUEUE_TIMEOUT);
+      if (!item) continue;
+
+      const request = JSON.parse(item.element);
+      if (request.expires_at < Date.now()) {
+        console.log(`Skipping preview ${request.preview_id}: api-service stopped waiting for it`);
+        continue;
+      }
+
+      console.log(`Previewing ${request.source} folder ${request.folder_id}`);
+
+      let reply;
+      try {
+        reply = { preview: await importService.previewFolderJob(request) };
+      } catch (error) {
+        console.error(`Error previewing folder ${request.folder_id}: ${error.message}`);
+        reply = {
+          error: error.message,
+          // Folder not found, not shared, ...: asking again will not help
+          permanent: error instanceof ProviderError && !error.retryable
+        };
+      }
+
+      // reply_to is the pub/sub channel the api-service instance waits on
+      await redisClient.publish(request.reply_to, JSON.stringify(reply));
+    } catch (error) {
+      console.error(`Error in import preview loop: ${error.message}`);
+      await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+  }
+}
+
 /**
  * Main service loop
  */
@@ -165,7 +668,27 @@ async function main() {
 
   const importService = new ImportService();
 
+  // Recover jobs of instances that crashed or were stopped mid-job
+  setInterval(() => {
+    reliableQueue.reclaimExpiredTasks(redisClient, FOLDER_IMPORT_QUEUE, async (job, attempts) => {
+      const error = new Error(`Gave up after ${attempts} deliveries: the import service processing it stopped or timed out each time`);
+      await deadLetter(FOLDER_IMPORT_QUEUE, job, error, { attempts });
+      await publishJobEvent({
+        type: 'job_failed',
+        job_id: job.job_id,
+        error: error.message
+      });
+    }).catch(error => {
+      console.error(`Failed to reclaim expired folder jobs: ${error.message}`);
+    });
+  }, reliableQueue.REAPER_INTERVAL_MS);
+
+  previewLoop(importService).catch(error => {
+    console.error(`Import preview loop stopped: ${error.message}`);
+  });
+
   // Graceful shutdown handler
+  // A job still running is left in the processing list and reclaimed by another instance
   process.on('SIGTERM', async () => {
     console.log('SIGTERM signal received: shutting down gracefully');
     await redisClient.quit();
@@ -181,25 +704,37 @@ async function main() {
   // Service loop
   while (true) {
     try {
-      // Block and wait for folder import job (FIFO queue)
-      const result = await redisClient.blPop(
-        redis.commandOptions({ isolated: true }),
-        FOLDER_IMPORT_QUEUE,
-        QUEUE_TIMEOUT
-      );
+      // Block and wait for folder import job (FIFO queue); it stays in the
+      // processing list until acknowledged
+      const raw = await reliableQueue.takeTask(redisClient, FOLDER_IMPORT_QUEUE, QUEUE_TIMEOUT);
 
-      if (result) {
-        const job = JSON.parse(result.element);
+      if (raw) {
+        const job = JSON.parse(raw);
+        const receivedAt = new Date().toISOString();
         console.log(`Received folder job: ${job.job_id}`);
 
+        const leaseTimer = setInterval(() => {
+          reliableQueue.extendLease(redisClient, FOLDER_IMPORT_QUEUE, raw).catch(error => {
+            console.error(`Failed to extend lease of folder job ${job.job_id}: ${error.message}`);
+          });
+        }, reliableQueue.VISIBILITY_TIMEOUT_MS / 3);
+
         try {
           await importService.processFolderJob(job);
           console.log(`Completed folder job: ${job.job_id}`);
         } catch (error) {
           console.error(`Error processing folder job ${job.job_id}: ${error.message}`);
+          await deadLetter(FOLDER_IMPORT_QUEUE, job, error, {
+            attempts: (job.attempts || 0) + 1,
+            receivedAt
+          });
           // Job failed but we continue processing other jobs
-          // In production, you might want to push to a dead letter queue
+        } finally {
+          clearInterval(leaseTimer);
         }
+
+        // Failed jobs were reported as failed, so they are done with too
+        await reliableQueue.ackTask(redisClient, FOLDER_IMPORT_QUEUE, raw);
       }
     } catch (error) {
       if (error.code === 'ECONNREFUSED') {
@@ -0,0 +1,139 @@
+/**
+ * Dead Letters - Folder jobs and image tasks that failed for good
+ * import-service and worker-service record them in Redis with the original
+ * payload, so they can be inspected, queued again or purged through the API
+ * (api-service /dead-letters).
+ */
+const crypto = require('crypto');
+const { encodeTask } = require('./reliableQueue');
+
+const DEAD_LETTERS_KEY = 'dead_letters'; // Hash: entry ID -> entry
+const DEAD_LETTER_INDEX_PREFIX = 'dead_letters:'; // Sorted set per queue: entry ID -> failed at (ms)
+
+// API names of the queues that have dead letters
+const DEAD_LETTER_QUEUES = {
+  folder_jobs: 'folder_import_queue',
+  image_tasks: 'image_task_queue'
+};
+
+function queueName(queue) {
+  return Object.keys(DEAD_LETTER_QUEUES).find(name => DEAD_LETTER_QUEUES[name] === queue) || queue;
+}
+
+/**
+ * Record a payload of `queue` that will not be processed again
+ *
+ * @param details { attempts, receivedAt } delivery attempts and when the last one started
+ */
+async function addDeadLetter(redisClient, queue, payload, error, { attempts = null, receivedAt = null } = {}) {
+  const id = crypto.randomUUID();
+  const failedAt = new Date();
+
+  const entry = {
+    id,
+    queue,
+    job_id: payload.job_id || null,
+    file_id: payload.file_id || null,
+    file_name: payload.file_name || null,
+    error: error.message,
+    stack: (error.cause && error.cause.stack) || error.stack || null,
+    attempts,
+    received_at: receivedAt,
+    failed_at: failedAt.toISOString(),
+    payload
+  };
+
+  await redisClient.multi()
+    .hSet(DEAD_LETTERS_KEY, id, JSON.stringify(entry))
+    .zAdd(`${DEAD_LETTER_INDEX_PREFIX}${queue}`, { score: failedAt.getTime(), value: id })
+    .exec();
+
+  return entry;
+}
+
+/**
+ * Shape an entry for API responses; the stack is only shown with `details`
+ */
+function formatDeadLetter(entry, { details = false } = {}) {
+  const { stack, payload, queue, ...summary } = entry;
+
+  const formatted = { ...summary, queue: queueName(queue) };
+  if (details) {
+    formatted.stack = stack;
+    formatted.payload = payload;
+  }
+  return formatted;
+}
+
+/**
+ * Entries of the given queues (API names; all when empty), newest first,
+ * optionally only those of one job
+ */
+async function findDeadLetters(redisClient, { queues = [], jobId = null } = {}) {
+  const names = queues.length ? queues : Object.keys(DEAD_LETTER_QUEUES);
+  const ids = [];
+
+  for (const name of names) {
+    ids.push(...await redisClient.zRange(`${DEAD_LETTER_INDEX_PREFIX}${DEAD_LETTER_QUEUES[name]}`, 0, -1));
+  }
+  if (!ids.length) return [];
+
+  const entries = (await redisClient.hmGet(DEAD_LETTERS_KEY, ids))
+    .filter(Boolean)
+    .map(record => JSON.parse(record))
+    .filter(entry => !jobId || entry.job_id === jobId);
+
+  return entries.sort((a, b) => b.failed_at.localeCompare(a.failed_at));
+}
+
+async function getDeadLetter(redisClient, id) {
+  const record = await redisClient.hGet(DEAD_LETTERS_KEY, id);
+  return record ? JSON.parse(record) : null;
+}
+
+/**
+ * Remove entries without retrying them. Returns how many were removed.
+ */
+async function purgeDeadLetters(redisClient, entries) {
+  if (!entries.length) return 0;
+
+  const multi = redisClient.multi().hDel(DEAD_LETTERS_KEY, entries.map(entry => entry.id));
+  for (const entry of entries) {
+    multi.zRem(`${DEAD_LETTER_INDEX_PREFIX}${entry.queue}`, entry.id);
+  }
+
+  const [removed] = await multi.exec();
+  return removed;
+}
+
+/**
+ * Queue an entry's payload again. Take the entry out with purgeDeadLetters
+ * first, so only the request that removed it queues it.
+ */
+async function retryDeadLetter(redisClient, entry) {
+  // A fresh start: the delivery attempts of the failed run no longer count
+  const { attempts, ...payload } = entry.payload;
+  await redisClient.rPush(entry.queue, encodeTask(payload));
+}
+
+/**
+ * Put back an entry taken out with purgeDeadLetters, when it could not be
+ * queued after all
+ */
+async function restoreDeadLetter(redisClient, entry) {
+  await redisClient.multi()
+    .hSet(DEAD_LETTERS_KEY, entry.id, JSON.stringify(entry))
+    .zAdd(`${DEAD_LETTER_INDEX_PREFIX}${entry.queue}`, { score: Date.parse(entry.failed_at), value: entry.id })
+    .exec();
+}
+
+module.exports = {
+  DEAD_LETTER_QUEUES,
+  addDeadLetter,
+  formatDeadLetter,
+  findDeadLetters,
+  getDeadLetter,
+  retryDeadLetter,
+  purgeDeadLetters,
+  restoreDeadLetter
+};
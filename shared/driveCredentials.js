@@ -0,0 +1,119 @@
+/**
+ * Drive Credentials - Stored Google Drive credentials for private folders
+ * Used by api-service (which stores them), import-service and worker-service.
+ * Service-account keys and OAuth refresh tokens are encrypted (AES-256-GCM)
+ * with CREDENTIALS_ENCRYPTION_KEY and kept in a Redis hash; jobs only carry
+ * the credential ID. Callers pass their googleapis `google` object in.
+ */
+const crypto = require('crypto');
+
+const DRIVE_CREDENTIALS_KEY = 'drive_credentials'; // Hash: credential ID -> stored record
+const DRIVE_SCOPES = ['https://www.googleapis.com/auth/drive.readonly'];
+
+function getEncryptionKey() {
+  const secret = process.env.CREDENTIALS_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('CREDENTIALS_ENCRYPTION_KEY is not set. Credentials cannot be stored or used.');
+  }
+  // Any passphrase length works, AES-256 needs exactly 32 bytes
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+function encryptSecret(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return ['v1', iv, cipher.getAuthTag(), ciphertext].map(part =>
+    Buffer.isBuffer(part) ? part.toString('base64') : part
+  ).join(':');
+}
+
+function decryptSecret(payload) {
+  const [, iv, tag, ciphertext] = payload.split(':').map((part, i) =>
+    i === 0 ? part : Buffer.from(part, 'base64')
+  );
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return JSON.parse(Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8'));
+}
+
+/**
+ * Build a googleapis auth client from a stored record
+ */
+function createDriveAuth(google, record) {
+  const secret = decryptSecret(record.data);
+
+  if (record.type === 'service_account') {
+    return new google.auth.JWT({
+      email: secret.client_email,
+      key: secret.private_key,
+      scopes: DRIVE_SCOPES
+    });
+  }
+
+  const oauth = new google.auth.OAuth2(
+    secret.client_id || process.env.GOOGLE_OAUTH_CLIENT_ID,
+    secret.client_secret || process.env.GOOGLE_OAUTH_CLIENT_SECRET
+  );
+  oauth.setCredentials({ refresh_token: secret.refresh_token });
+  return oauth;
+}
+
+async function getCredentialRecord(redisClient, id) {
+  const stored = await redisClient.hGet(DRIVE_CREDENTIALS_KEY, id);
+  if (!stored) {
+    throw new Error(`Credential ${id} not found`);
+  }
+  return JSON.parse(stored);
+}
+
+/**
+ * Build a googleapis auth client from a stored credential
+ */
+async function loadDriveAuth(redisClient, google, id) {
+  return createDriveAuth(google, await getCredentialRecord(redisClient, id));
+}
+
+/**
+ * Clients built per credential, kept between jobs so OAuth access tokens are
+ * reused. Each lookup reads the stored record again: a deleted credential
+ * stops working at once and a replaced one gets a new client.
+ * `createClient(auth)` builds the client to keep for an auth client.
+ */
+class CredentialClientCache {
+  constructor(redisClient, google, createClient) {
+    this.redisClient = redisClient;
+    this.google = google;
+    this.createClient = createClient;
+    this.clients = new Map(); // credential ID -> { data, client }
+  }
+
+  async get(id) {
+    let record;
+    try {
+      record = await getCredentialRecord(this.redisClient, id);
+    } catch (error) {
+      this.clients.delete(id);
+      throw error;
+    }
+
+    const cached = this.clients.get(id);
+    if (cached && cached.data === record.data) {
+      return cached.client;
+    }
+
+    const client = this.createClient(createDriveAuth(this.google, record));
+    this.clients.set(id, { data: record.data, client });
+    return client;
+  }
+}
+
+module.exports = {
+  DRIVE_CREDENTIALS_KEY,
+  encryptSecret,
+  loadDriveAuth,
+  CredentialClientCache
+};
@@ -0,0 +1,99 @@
+/**
+ * Dropbox - Listing shared folder links through the Dropbox API v2
+ * Used by import-service (queued imports) and api-service (imports run in
+ * process). Callers pass `request(endpoint, body)`, which posts to the API
+ * with their token and retry policy and resolves to the response body.
+ */
+
+// Dropbox doesn't report MIME types, so images are recognised by extension
+const IMAGE_MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  bmp: 'image/bmp',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  heic: 'image/heic',
+  heif: 'image/heif',
+  svg: 'image/svg+xml'
+};
+
+function getImageMimeType(fileName) {
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+  return IMAGE_MIME_TYPES[extension] || null;
+}
+
+/**
+ * One folder's entries, following the cursor across pages.
+ * `path` is relative to the linked folder, '' being the folder itself.
+ */
+async function listFolderEntries(request, sharedLinkUrl, path) {
+  const entries = [];
+
+  let page = await request('/2/files/list_folder', {
+    path,
+    shared_link: { url: sharedLinkUrl }
+  });
+  entries.push(...(page.entries || []));
+
+  while (page.has_more) {
+    page = await request('/2/files/list_folder/continue', { cursor: page.cursor });
+    entries.push(...(page.entries || []));
+  }
+
+  return entries;
+}
+
+/**
+ * List the image files of a shared folder link. With `recursive`, subfolders
+ * are walked breadth-first up to `maxDepth` levels below the linked folder.
+ *
+ * Every file's `path` is relative to the linked folder ('/2024/a.jpg'), which
+ * is what get_shared_link_file expects. The entries' own path_display is the
+ * link owner's absolute path (or missing, when the token's account doesn't
+ * own the link), so it is tracked here while walking instead.
+ */
+async function listSharedFolder(request, sharedLinkUrl, { recursive = false, maxDepth = Infinity } = {}) {
+  const files = [];
+  const pendingFolders = [{ path: '', depth: 0 }];
+
+  while (pendingFolders.length) {
+    const folder = pendingFolders.shift();
+    const entries = await listFolderEntries(request, sharedLinkUrl, folder.path);
+
+    for (const entry of entries) {
+      const entryPath = `${folder.path}/${entry.name}`;
+
+      if (entry['.tag'] === 'folder') {
+        if (!recursive) continue;
+
+        if (folder.depth + 1 > maxDepth) {
+          console.warn(`Skipping Dropbox folder ${entryPath}: deeper than ${maxDepth} levels`);
+          continue;
+        }
+
+        pendingFolders.push({ path: entryPath, depth: folder.depth + 1 });
+      } else if (entry['.tag'] === 'file' && getImageMimeType(entry.name)) {
+        files.push({
+          id: entry.id,
+          name: entry.name,
+          path: entryPath,
+          folderPath: folder.path.slice(1), // Without the leading '/', like Drive folder paths
+          mimeType: getImageMimeType(entry.name),
+          size: entry.size,
+          modifiedTime: entry.server_modified,
+          rev: entry.rev
+        });
+      }
+    }
+  }
+
+  return files;
+}
+
+module.exports = {
+  getImageMimeType,
+  listSharedFolder
+};
@@ -0,0 +1,179 @@
+/**
+ * Import Filters - Limits and filters an import request can carry
+ * api-service checks them and caps them at the server-wide ceilings;
+ * import-service (and api-service's synchronous folder processor) apply them
+ * to the folder listing before any task is queued.
+ */
+
+// Server-wide ceilings: an import never queues more than this, whatever it asks for
+const IMPORT_MAX_FILES = parseInt(process.env.IMPORT_MAX_FILES || '10000');
+const IMPORT_MAX_TOTAL_BYTES = parseInt(process.env.IMPORT_MAX_TOTAL_BYTES || String(50 * 1024 * 1024 * 1024)); // 50 GB
+
+const FILTER_KEYS = [
+  'max_files',
+  'max_total_bytes',
+  'min_size',
+  'max_size',
+  'mime_types',
+  'include',
+  'exclude',
+  'modified_after'
+];
+
+/**
+ * Filters from a request body, over `current` ones (a schedule's). A key set
+ * to null removes that filter. Limits above the ceilings are lowered to them.
+ */
+function buildImportFilters(body, current = {}) {
+  const filters = { ...current };
+
+  for (const key of FILTER_KEYS) {
+    if (body[key] === null) {
+      delete filters[key];
+    } else if (body[key] !== undefined) {
+      filters[key] = body[key];
+    }
+  }
+
+  if (filters.max_files) {
+    filters.max_files = Math.min(filters.max_files, IMPORT_MAX_FILES);
+  }
+  if (filters.max_total_bytes) {
+    filters.max_total_bytes = Math.min(filters.max_total_bytes, IMPORT_MAX_TOTAL_BYTES);
+  }
+
+  return filters;
+}
+
+/**
+ * Check filters that depend on each other. Returns an error message, or null.
+ */
+function validateImportFilters(filters) {
+  if (filters.min_size && filters.max_size && filters.min_size > filters.max_size) {
+    return 'min_size must not be larger than max_size';
+  }
+  return null;
+}
+
+/**
+ * Glob for file names: `*` and `?` stay within one folder, `**` crosses folders.
+ * Matching ignores case.
+ */
+function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Patterns with a '/' are matched against the path below the imported
+ * folder, others against the file name alone
+ */
+function matchesAnyGlob(file, globs) {
+  const filePath = file.folderPath ? `${file.folderPath}/${file.name}` : file.name;
+  return globs.some(glob => globToRegExp(glob).test(glob.includes('/') ? filePath : file.name));
+}
+
+function matchesMimeType(mimeType, allowed) {
+  return allowed.some(type => type.endsWith('/*')
+    ? (mimeType || '').startsWith(type.slice(0, -1))
+    : mimeType === type);
+}
+
+/**
+ * Why a listed file is left out by the per-file filters, or null to keep it.
+ * Files whose size or modification time the source does not report pass
+ * the filters on them.
+ */
+function excludeReason(file, filters) {
+  const size = file.size ? parseInt(file.size) : null;
+
+  if (filters.mime_types && filters.mime_types.length && !matchesMimeType(file.mimeType, filters.mime_types)) {
+    return 'mime_type';
+  }
+  if (size !== null && ((filters.min_size && size < filters.min_size) || (filters.max_size && size > filters.max_size))) {
+    return 'size';
+  }
+  if ((filters.include && filters.include.length && !matchesAnyGlob(file, filters.include)) ||
+      (filters.exclude && filters.exclude.length && matchesAnyGlob(file, filters.exclude))) {
+    return 'name';
+  }
+  if (filters.modified_after && file.modifiedTime &&
+      new Date(file.modifiedTime) <= new Date(filters.modified_after)) {
+    return 'modified';
+  }
+  return null;
+}
+
+/**
+ * Apply filters to a folder listing, then the file and byte limits (capped
+ * at the ceilings) in listing order: once the next file would go over a
+ * limit, it and the rest are left out.
+ * Returns the files to import, the files left out with the reason
+ * ('mime_type', 'size', 'name', 'modified' or 'over_limit') and a report.
+ */
+function applyImportFilters(files, filters = {}) {
+  const maxFiles = Math.min(filters.max_files || IMPORT_MAX_FILES, IMPORT_MAX_FILES);
+  const maxTotalBytes = Math.min(filters.max_total_bytes || IMPORT_MAX_TOTAL_BYTES, IMPORT_MAX_TOTAL_BYTES);
+
+  const selected = [];
+  const skipped = [];
+  const excluded = { mime_type: 0, size: 0, name: 0, modified: 0 };
+  let totalBytes = 0;
+  let overLimit = 0;
+
+  for (const file of files) {
+    const reason = excludeReason(file, filters);
+    if (reason) {
+      excluded[reason]++;
+      skipped.push({ file, reason });
+      continue;
+    }
+
+    const size = file.size ? parseInt(file.size) : 0;
+    if (overLimit || selected.length >= maxFiles || totalBytes + size > maxTotalBytes) {
+      overLimit++;
+      skipped.push({ file, reason: 'over_limit' });
+      continue;
+    }
+
+    selected.push(file);
+    totalBytes += size;
+  }
+
+  return {
+    files: selected,
+    skipped,
+    report: {
+      listed: files.length,
+      selected: selected.length,
+      selected_bytes: totalBytes,
+      excluded,
+      over_limit: overLimit,
+      limits: { max_files: maxFiles, max_total_bytes: maxTotalBytes }
+    }
+  };
+}
+
+module.exports = {
+  IMPORT_MAX_FILES,
+  IMPORT_MAX_TOTAL_BYTES,
+  FILTER_KEYS,
+  buildImportFilters,
+  validateImportFilters,
+  applyImportFilters
+};
@@ -0,0 +1,104 @@
+/**
+ * Job Parking - Work held back while an import job is paused
+ * Used by api-service, import-service and worker-service. A paused job has a
+ * control key; work picked up for it is parked on a per-job list, and
+ * resuming the job puts that work back on its queues. Parking and resuming
+ * each check and change the control key in one Redis script, so work parked
+ * while the job is being resumed can't be left behind on the list.
+ */
+const { encodeTask } = require('./reliableQueue');
+
+const JOB_CONTROL_PREFIX = 'job_control:'; // { state: 'paused' | 'cancelled', rollback }
+const JOB_PARKED_PREFIX = 'job_parked:'; // List of { queue, raw } parked while paused
+// Queues whose work can be parked; the resume script is given them as keys
+const PARKABLE_QUEUES = ['folder_import_queue', 'image_task_queue'];
+
+// Park ARGV[1] (the entry) on KEYS[2] if the job (KEYS[1]) is still paused,
+// otherwise push the raw payload ARGV[2] back onto its queue (KEYS[3]).
+// Returns 1 when parked.
+const PARK_SCRIPT = `
+local control = redis.call('GET', KEYS[1])
+if control and cjson.decode(control).state == 'paused' then
+  redis.call('RPUSH', KEYS[2], ARGV[1])
+  return 1
+end
+redis.call('RPUSH', KEYS[3], ARGV[2])
+return 0`;
+
+// Clear the control key (KEYS[1]) and move every parked entry (KEYS[2]) back
+// onto its queue, one of KEYS[3..]. Entries for any other queue stay parked.
+// Entries parked before payloads were kept raw carry the decoded payload
+// instead. Returns { entries requeued, entries left parked }.
+const RESUME_SCRIPT = `
+redis.call('DEL', KEYS[1])
+local queues = {}
+for i = 3, #KEYS do
+  queues[KEYS[i]] = true
+end
+local requeued = 0
+local unknown = {}
+local entry = redis.call('LPOP', KEYS[2])
+while entry do
+  local item = cjson.decode(entry)
+  if queues[item.queue] then
+    redis.call('RPUSH', item.queue, item.raw or cjson.encode(item.payload))
+    requeued = requeued + 1
+  else
+    table.insert(unknown, entry)
+  end
+  entry = redis.call('LPOP', KEYS[2])
+end
+for _, kept in ipairs(unknown) do
+  redis.call('RPUSH', KEYS[2], kept)
+end
+return {requeued, #unknown}`;
+
+/**
+ * Pause/cancel state of a job, or null while it is running normally
+ */
+async function getJobControl(redisClient, jobId) {
+  if (!jobId) return null;
+
+  const control = await redisClient.get(`${JOB_CONTROL_PREFIX}${jobId}`);
+  return control ? JSON.parse(control) : null;
+}
+
+/**
+ * Hold back work for a paused job until it is resumed. If the job was resumed
+ * in the meantime the work goes straight back on `queue`. Returns true when parked.
+ */
+async function parkJobItem(redisClient, jobId, queue, payload) {
+  if (!PARKABLE_QUEUES.includes(queue)) {
+    throw new Error(`Work of ${queue} can't be parked`);
+  }
+
+  const raw = encodeTask(payload);
+  const parked = await redisClient.eval(PARK_SCRIPT, {
+    keys: [`${JOB_CONTROL_PREFIX}${jobId}`, `${JOB_PARKED_PREFIX}${jobId}`, queue],
+    arguments: [JSON.stringify({ queue, raw }), raw]
+  });
+  return parked === 1;
+}
+
+/**
+ * Clear a job's pause flag and requeue everything parked for it.
+ * Returns the number of items requeued.
+ */
+async function resumeParkedItems(redisClient, jobId) {
+  const [requeued, kept] = await redisClient.eval(RESUME_SCRIPT, {
+    keys: [`${JOB_CONTROL_PREFIX}${jobId}`, `${JOB_PARKED_PREFIX}${jobId}`, ...PARKABLE_QUEUES]
+  });
+
+  if (kept > 0) {
+    console.warn(`${kept} parked item(s) of job ${jobId} are for unknown queues and stay parked`);
+  }
+  return requeued;
+}
+
+module.exports = {
+  JOB_CONTROL_PREFIX,
+  JOB_PARKED_PREFIX,
+  getJobControl,
+  parkJobItem,
+  resumeParkedItems
+};
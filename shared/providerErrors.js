@@ -0,0 +1,195 @@
+/**
+ * Provider Errors - Classifying provider errors and pausing on rate limits
+ * Used by import-service (listing) and worker-service (downloads). An error
+ * answer from Drive, Dropbox or a plain URL is turned into a ProviderError
+ * saying whether to retry; rate limits and quotas start a cooldown in Redis
+ * that every instance waits out before its next request to that provider.
+ * api-service reads the cooldowns for GET /workers.
+ */
+const PROVIDER_COOLDOWN_PREFIX = 'provider_cooldown:'; // Key per provider, expiring when requests may resume
+const PROVIDER_STRIKES_PREFIX = 'provider_cooldown_strikes:'; // Rate-limit errors per provider in a row
+
+// When a provider reports a rate limit or quota without saying how long to
+// wait, every instance pauses its requests for this long, doubling with each
+// further limit error up to the maximum
+const PROVIDER_COOLDOWN_MS = parseInt(process.env.PROVIDER_COOLDOWN_MS || '5000');
+const PROVIDER_COOLDOWN_MAX_MS = parseInt(process.env.PROVIDER_COOLDOWN_MAX_MS || '300000');
+// Shortest pause after a limit error, even when the provider says to retry at
+// once (Retry-After: 0): rate-limited requests are retried as soon as the
+// cooldown ends, so without it they would all be spent in a burst
+const PROVIDER_COOLDOWN_MIN_MS = parseInt(process.env.PROVIDER_COOLDOWN_MIN_MS || '1000');
+
+// Error reasons Drive gives for rate limits and quotas (with 403 or 429)
+const DRIVE_RATE_LIMIT_REASONS = [
+  'rateLimitExceeded',
+  'userRateLimitExceeded',
+  'quotaExceeded',
+  'dailyLimitExceeded',
+  'sharingRateLimitExceeded',
+  'downloadQuotaExceeded'
+];
+// Dropbox error tags for rate limits (error_summary starts with one)
+const DROPBOX_RATE_LIMIT_REASONS = ['too_many_requests', 'too_many_write_operations'];
+
+/**
+ * An error answer from a provider (Drive, Dropbox), classified so the retry
+ * loop knows what to do with it: `retryable` when asking again may succeed,
+ * `rateLimited` when the provider's rate limit or quota was hit (every instance
+ * then pauses, see startCooldown), and `retryAfterMs` when the provider said
+ * how long to wait.
+ */
+class ProviderError extends Error {
+  constructor(message, { provider, status = null, reason = null, retryable = false, rateLimited = false, retryAfterMs = null, cause = null } = {}) {
+    super(message, { cause });
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.reason = reason;
+    this.retryable = retryable;
+    this.rateLimited = rateLimited;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function getHeader(headers, name) {
+  if (!headers) return null;
+  return typeof headers.get === 'function' ? headers.get(name) : headers[name];
+}
+
+/**
+ * Milliseconds to wait from a Retry-After value: seconds or an HTTP date
+ */
+function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Error reason from a provider's JSON error body
+ */
+function providerErrorReason(error) {
+  const data = error.response.data;
+
+  if (data && typeof data === 'object' && typeof data.pipe !== 'function') {
+    // Drive: { error: { errors: [{ reason }] } }
+    if (data.error && Array.isArray(data.error.errors) && data.error.errors.length) {
+      return data.error.errors[0].reason || null;
+    }
+    // Dropbox: { error_summary: 'too_many_requests/...' }
+    if (typeof data.error_summary === 'string') {
+      return data.error_summary.split('/')[0];
+    }
+  }
+
+  // googleapis copies Drive's reasons onto the error
+  if (Array.isArray(error.errors) && error.errors.length) {
+    return error.errors[0].reason || null;
+  }
+
+  return null;
+}
+
+/**
+ * Classify an error from a provider request. Errors without an HTTP answer
+ * (network failures, our own) are returned as they are and retried as before.
+ */
+function classifyProviderError(provider, error) {
+  if (error instanceof ProviderError || !error.response) return error;
+
+  const { status, headers, data } = error.response;
+  const reason = providerErrorReason(error);
+
+  let retryAfterMs = parseRetryAfter(getHeader(headers, 'retry-after'));
+  // Dropbox may put it in the body instead: { error: { retry_after: seconds } }
+  if (retryAfterMs === null && data && data.error && typeof data.error.retry_after === 'number') {
+    retryAfterMs = data.error.retry_after * 1000;
+  }
+
+  const rateLimited = status === 429 ||
+    DRIVE_RATE_LIMIT_REASONS.includes(reason) ||
+    DROPBOX_RATE_LIMIT_REASONS.includes(reason);
+  // Anything else in 4xx (not found, no access, bad request) will not change
+  const retryable = rateLimited || status >= 500 || status === 408;
+
+  return new ProviderError(`${error.message}${reason ? ` (${reason})` : ''}`, {
+    provider,
+    status,
+    reason,
+    retryable,
+    rateLimited,
+    retryAfterMs,
+    cause: error
+  });
+}
+
+/**
+ * Pause requests to a provider from every instance: for as long as it asked,
+ * or for a cooldown that grows while limit errors keep coming
+ */
+async function startCooldown(redisClient, providerError) {
+  const { provider } = providerError;
+  const key = `${PROVIDER_COOLDOWN_PREFIX}${provider}`;
+  const strikesKey = `${PROVIDER_STRIKES_PREFIX}${provider}`;
+
+  try {
+    const strikes = await redisClient.incr(strikesKey);
+    // Strikes are forgotten once the provider has been quiet for a while
+    await redisClient.pExpire(strikesKey, PROVIDER_COOLDOWN_MAX_MS * 2);
+
+    const cooldownMs = Math.max(PROVIDER_COOLDOWN_MIN_MS, providerError.retryAfterMs !== null
+      ? providerError.retryAfterMs
+      : Math.min(PROVIDER_COOLDOWN_MAX_MS, PROVIDER_COOLDOWN_MS * Math.pow(2, strikes - 1)));
+    if (cooldownMs <= 0) return;
+
+    // Keep a longer cooldown another instance already started
+    if ((await redisClient.pTTL(key)) < cooldownMs) {
+      await redisClient.set(key, providerError.reason || String(providerError.status), { PX: Math.ceil(cooldownMs) });
+      console.warn(`${provider} rate limit hit (${providerError.message}), pausing requests for ${Math.ceil(cooldownMs)}ms`);
+    }
+  } catch (error) {
+    console.error(`Failed to start ${provider} cooldown: ${error.message}`);
+  }
+}
+
+/**
+ * Classify an error from a provider request, starting a cooldown when it was
+ * a rate limit, and return the error to throw
+ */
+async function handleProviderError(redisClient, provider, error) {
+  const classified = classifyProviderError(provider, error);
+  if (classified instanceof ProviderError && classified.rateLimited) {
+    await startCooldown(redisClient, classified);
+  }
+  return classified;
+}
+
+/**
+ * Milliseconds left of a provider's cooldown (0 or less when there is none)
+ */
+async function cooldownRemaining(redisClient, provider) {
+  return redisClient.pTTL(`${PROVIDER_COOLDOWN_PREFIX}${provider}`);
+}
+
+/**
+ * Wait out a cooldown started by any instance that hit the provider's limit
+ */
+async function waitForCooldown(redisClient, provider) {
+  let remaining = await cooldownRemaining(redisClient, provider);
+  while (remaining > 0) {
+    await new Promise(resolve => setTimeout(resolve, remaining));
+    remaining = await cooldownRemaining(redisClient, provider);
+  }
+}
+
+module.exports = {
+  PROVIDER_COOLDOWN_PREFIX,
+  ProviderError,
+  handleProviderError,
+  cooldownRemaining,
+  waitForCooldown
+};
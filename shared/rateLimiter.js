@@ -0,0 +1,62 @@
+/**
+ * Rate Limiter - Provider request rates shared by every worker instance
+ * A token bucket per provider kept in Redis: `burst` requests can go at once,
+ * then `rate` per second across the whole deployment, however many worker
+ * processes are running. Every instance should be given the same limits.
+ */
+const RATE_LIMIT_PREFIX = 'rate_limit:'; // Hash per source: { tokens, ts }
+
+// Take a token from the bucket KEYS[1] (ARGV[1] per second, ARGV[2] at most).
+// Tokens may go negative: each caller reserves the next free slot and is told
+// how many milliseconds to wait for it, so callers are served in arrival
+// order without polling. Time comes from the Redis server, so clocks of the
+// worker hosts don't matter.
+const TAKE_SCRIPT = `
+local rate = tonumber(ARGV[1])
+local capacity = tonumber(ARGV[2])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(bucket[1]) or capacity
+local ts = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) / 1000 * rate) - 1
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now))
+local wait = 0
+if tokens < 0 then wait = math.ceil(-tokens / rate * 1000) end
+redis.call('PEXPIRE', KEYS[1], wait + math.ceil(capacity / rate * 1000) + 1000)
+return wait`;
+
+class RateLimiter {
+  constructor(redisClient, source, { rate, burst }) {
+    this.redisClient = redisClient;
+    this.key = `${RATE_LIMIT_PREFIX}${source}`;
+    this.rate = rate;
+    this.capacity = Math.max(1, burst || 1);
+    this.waiting = 0; // Requests of this process waiting for their slot
+  }
+
+  /**
+   * Wait until a request may be made
+   */
+  async take() {
+    if (!this.rate) return;
+
+    this.waiting++;
+    try {
+      const wait = await this.redisClient.eval(TAKE_SCRIPT, {
+        keys: [this.key],
+        arguments: [String(this.rate), String(this.capacity)]
+      });
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+    } finally {
+      this.waiting--;
+    }
+  }
+}
+
+module.exports = {
+  RATE_LIMIT_PREFIX,
+  RateLimiter
+};
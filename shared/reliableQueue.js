@@ -0,0 +1,166 @@
+/**
+ * Reliable Queue - At-least-once delivery on Redis lists
+ * Items taken off a queue move to '<queue>:processing' and get a lease in
+ * '<queue>:leases' (sorted set: delivery ID -> deadline). Consumers acknowledge
+ * items when done and extend leases while working; items whose lease runs
+ * out (a crashed or stopped consumer) are put back with an attempt count.
+ * Used by api-service and import-service (folder jobs) and worker-service
+ * (image tasks).
+ *
+ * Every push gets a delivery ID (see encodeTask), so two pushes of the same
+ * payload - the same file queued by two jobs, say - have leases of their own.
+ */
+const crypto = require('crypto');
+
+const PROCESSING_SUFFIX = ':processing';
+const LEASES_SUFFIX = ':leases';
+// An item not acknowledged within this time (a crashed or stopped consumer) is
+// put back on the queue; running consumers keep extending their lease
+const VISIBILITY_TIMEOUT_MS = parseInt(process.env.VISIBILITY_TIMEOUT_MS || '300000');
+const REAPER_INTERVAL_MS = parseInt(process.env.REAPER_INTERVAL_MS || '30000');
+// Deliveries of one item before it is given up on
+const MAX_DELIVERY_ATTEMPTS = parseInt(process.env.MAX_DELIVERY_ATTEMPTS || '5');
+
+// Take a task (ARGV[1]) out of the processing list and its lease (ARGV[2]),
+// and push ARGV[3] (unless empty) onto the queue with ARGV[4] (RPUSH/LPUSH),
+// all in one step. Returns 0 when the task was no longer in the processing list.
+const RELEASE_TASK_SCRIPT = `
+local removed = redis.call('LREM', KEYS[1], 1, ARGV[1])
+redis.call('ZREM', KEYS[2], ARGV[2])
+if removed == 0 then
+  return 0
+end
+if ARGV[3] ~= '' then
+  redis.call(ARGV[4], KEYS[3], ARGV[3])
+end
+return 1`;
+
+/**
+ * Serialize a payload to push onto a queue, with a new delivery ID.
+ * Every push of work onto a reliable queue goes through here.
+ */
+function encodeTask(payload) {
+  return JSON.stringify({ ...payload, delivery_id: crypto.randomUUID() });
+}
+
+/**
+ * The lease key of a raw task. Tasks queued before delivery IDs are leased
+ * under their raw payload, as they were then.
+ */
+function deliveryId(raw) {
+  try {
+    return JSON.parse(raw).delivery_id || raw;
+  } catch (error) {
+    return raw;
+  }
+}
+
+/**
+ * Take the next task off `queue` (waiting up to `timeout` seconds) into its
+ * processing list. Returns the raw task, to acknowledge with ackTask.
+ */
+async function takeTask(redisClient, queue, timeout) {
+  // Blocking on a connection of its own keeps the client free for other commands
+  const raw = await redisClient.executeIsolated(isolated => isolated.blMove(
+    queue,
+    `${queue}${PROCESSING_SUFFIX}`,
+    'LEFT',
+    'RIGHT',
+    timeout
+  ));
+  if (!raw) return null;
+
+  await redisClient.zAdd(`${queue}${LEASES_SUFFIX}`, { score: Date.now() + VISIBILITY_TIMEOUT_MS, value: deliveryId(raw) });
+  return raw;
+}
+
+/**
+ * The task is done (or failed for good): forget it
+ */
+async function ackTask(redisClient, queue, raw) {
+  await redisClient.multi()
+    .lRem(`${queue}${PROCESSING_SUFFIX}`, 1, raw)
+    .zRem(`${queue}${LEASES_SUFFIX}`, deliveryId(raw))
+    .exec();
+}
+
+/**
+ * Keep a running task from being reclaimed
+ */
+async function extendLease(redisClient, queue, raw) {
+  await redisClient.zAdd(
+    `${queue}${LEASES_SUFFIX}`,
+    { score: Date.now() + VISIBILITY_TIMEOUT_MS, value: deliveryId(raw) },
+    { XX: true }
+  );
+}
+
+/**
+ * Move a task from the processing list back onto its queue, as `payload`
+ * (or drop it when payload is null). Returns false if another instance got there first.
+ */
+async function releaseTask(redisClient, queue, raw, payload, { front = false } = {}) {
+  const released = await redisClient.eval(RELEASE_TASK_SCRIPT, {
+    keys: [`${queue}${PROCESSING_SUFFIX}`, `${queue}${LEASES_SUFFIX}`, queue],
+    arguments: [raw, deliveryId(raw), payload === null ? '' : encodeTask(payload), front ? 'LPUSH' : 'RPUSH']
+  });
+  return released === 1;
+}
+
+/**
+ * Put tasks whose lease ran out back on the queue with one more attempt
+ * counted, or hand them to `giveUp(task, attempts)` after MAX_DELIVERY_ATTEMPTS.
+ * Any instance can reclaim any task; each is reclaimed once.
+ */
+async function reclaimExpiredTasks(redisClient, queue, giveUp) {
+  const processingKey = `${queue}${PROCESSING_SUFFIX}`;
+  const leasesKey = `${queue}${LEASES_SUFFIX}`;
+  const now = Date.now();
+
+  // An instance that stopped between taking a task and leasing it left no
+  // deadline: start one now
+  const processing = new Map(
+    (await redisClient.lRange(processingKey, 0, -1)).map(raw => [deliveryId(raw), raw])
+  );
+  if (processing.size) {
+    await redisClient.zAdd(
+      leasesKey,
+      [...processing.keys()].map(id => ({ score: now + VISIBILITY_TIMEOUT_MS, value: id })),
+      { NX: true }
+    );
+  }
+
+  const expired = await redisClient.zRangeByScore(leasesKey, 0, now);
+
+  for (const id of expired) {
+    const raw = processing.get(id);
+    if (!raw) {
+      // A lease whose task is no longer being processed: nothing to reclaim
+      await redisClient.zRem(leasesKey, id);
+      continue;
+    }
+
+    const task = JSON.parse(raw);
+    const attempts = (task.attempts || 0) + 1;
+
+    if (attempts >= MAX_DELIVERY_ATTEMPTS) {
+      if (await releaseTask(redisClient, queue, raw, null)) {
+        console.error(`Giving up on ${queue} task after ${attempts} deliveries: ${raw}`);
+        await giveUp(task, attempts);
+      }
+    } else if (await releaseTask(redisClient, queue, raw, { ...task, attempts })) {
+      console.log(`Reclaimed unfinished ${queue} task (attempt ${attempts + 1} of ${MAX_DELIVERY_ATTEMPTS})`);
+    }
+  }
+}
+
+module.exports = {
+  VISIBILITY_TIMEOUT_MS,
+  REAPER_INTERVAL_MS,
+  encodeTask,
+  takeTask,
+  ackTask,
+  extendLease,
+  releaseTask,
+  reclaimExpiredTasks
+};
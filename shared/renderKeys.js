@@ -0,0 +1,28 @@
+/**
+ * Render Keys - Where renders of an image are cached in the bucket
+ * api-service stores renders under these prefixes (see renderer.js);
+ * worker-service deletes them along with the original they were made from.
+ */
+const crypto = require('crypto');
+
+/**
+ * Prefix of the renders of content stored by its SHA-256, shared by every
+ * image with that content
+ */
+function contentRenderPrefix(contentHash) {
+  return `renders/sha256/${contentHash.slice(0, 2)}/${contentHash}`;
+}
+
+/**
+ * Prefix of the renders of an original stored before content hashing, by
+ * its storage path. The object can be replaced under the same path, so each
+ * version's renders go one level further down, under its ETag.
+ */
+function pathRenderPrefix(storagePath) {
+  return `renders/path/${crypto.createHash('sha256').update(storagePath).digest('hex')}`;
+}
+
+module.exports = {
+  contentRenderPrefix,
+  pathRenderPrefix
+};
@@ -1,21 +1,45 @@
 /**
  * Worker Service - Node.js
- * Downloads images from Google Drive/Dropbox and uploads to S3/MinIO
+ * Downloads images from Google Drive/Dropbox (or plain URLs) and uploads to S3/MinIO
  */
 require('dotenv').config();
 
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const redis = require('redis');
 const mysql = require('mysql2/promise');
 const { google } = require('googleapis');
 const axios = require('axios');
 const AWS = require('aws-sdk');
 const Minio = require('minio');
+const sharp = require('sharp');
+const exifr = require('exifr');
+const jobParking = require('../shared/jobParking');
+const reliableQueue = require('../shared/reliableQueue');
+const deadLetters = require('../shared/deadLetters');
+const providerErrors = require('../shared/providerErrors');
+const { ProviderError } = providerErrors;
+const { CredentialClientCache } = require('../shared/driveCredentials');
+const { contentRenderPrefix, pathRenderPrefix } = require('../shared/renderKeys');
+const { RateLimiter } = require('../shared/rateLimiter');
+const { isBlockedAddress } = require('../shared/blockedAddresses');
 
 // Configuration
 const REDIS_HOST = process.env.REDIS_HOST || 'redis';
 const REDIS_PORT = process.env.REDIS_PORT || 6379;
 const REDIS_DB = process.env.REDIS_DB || 0;
 const IMAGE_TASK_QUEUE = 'image_task_queue'; // Read from this queue
+const JOB_EVENTS_QUEUE = 'job_events_queue'; // Report job progress to api-service
+const SOURCE_FOLDER_FILES_PREFIX = 'source_folder_files:'; // Hash per folder: file ID -> stored version
+const WORKER_STATS_KEY = 'worker_stats'; // Hash: worker ID -> in-flight counts, read by api-service
 
 const MYSQL_CONFIG = {
   host: process.env.MYSQL_HOST || 'mysql',
@@ -40,10 +64,64 @@ const MINIO_USE_SSL = process.env.MINIO_USE_SSL === 'true';
 
 const GOOGLE_DRIVE_API_KEY = process.env.GOOGLE_DRIVE_API_KEY || '';
 
+const DROPBOX_ACCESS_TOKEN = process.env.DROPBOX_ACCESS_TOKEN || '';
+// Overridable to send downloads through a proxy
+const DROPBOX_CONTENT_BASE_URL = process.env.DROPBOX_CONTENT_BASE_URL || 'https://content.dropboxapi.com';
+
+// Resized copies stored next to every image, served as thumbnails by api-service
+const DERIVATIVE_WIDTHS = [200, 400, 1200];
+const DERIVATIVE_FORMATS = {
+  webp: 'image/webp',
+  jpeg: 'image/jpeg'
+};
+// Originals are stored as images/sha256/<first 2 hex digits>/<SHA-256 of the content>
+const CONTENT_OBJECT_PATTERN = /\/images\/sha256\/[0-9a-f]{2}\/([0-9a-f]{64})$/;
+
+// Downloads are written to a temporary file as they arrive, so a task holds
+// the same small amount of memory whatever the size of the file
+const WORKER_TMP_DIR = process.env.WORKER_TMP_DIR || os.tmpdir();
+const MAX_FILE_BYTES = parseInt(process.env.MAX_FILE_BYTES || String(1024 * 1024 * 1024)); // 1 GB
+// Part size of multipart uploads; each upload buffers about one part (S3 minimum: 5 MB)
+const UPLOAD_PART_SIZE = parseInt(process.env.UPLOAD_PART_SIZE || String(8 * 1024 * 1024));
+// Leading bytes kept in memory for the content checks
+const CONTENT_HEAD_BYTES = 4096;
+
+// Downloads from plain URLs (source 'url')
+const HTTP_MAX_REDIRECTS = parseInt(process.env.HTTP_MAX_REDIRECTS || '3');
+// A response must start within HTTP_TIMEOUT_MS and its body may not stall
+// for longer than that; the whole body must arrive within HTTP_BODY_TIMEOUT_MS
+const HTTP_TIMEOUT_MS = parseInt(process.env.HTTP_TIMEOUT_MS || '30000');
+const HTTP_BODY_TIMEOUT_MS = parseInt(process.env.HTTP_BODY_TIMEOUT_MS || '600000');
+
 // Worker configuration
 const MAX_RETRIES = 3;
 const RETRY_DELAY_MS = 5000; // 5 seconds
+// Rate-limited attempts wait for the provider and do not use up MAX_RETRIES,
+// up to this many
+const MAX_RATE_LIMITED_RETRIES = 10;
 const QUEUE_TIMEOUT = 5; // seconds
+const WORKER_CONCURRENCY = Math.max(1, parseInt(process.env.WORKER_CONCURRENCY || '4')); // tasks at once
+const WORKER_STATS_INTERVAL_MS = 5000;
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '30000');
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Requests per second (and burst) all worker instances together make to a
+// provider, enforced through Redis; 0 disables the limit. Set the same values
+// on every instance. Plain HTTP covers downloads from other URLs.
+const RATE_LIMITS = {
+  google_drive: {
+    rate: parseFloat(process.env.DRIVE_RATE_LIMIT || '10'),
+    burst: parseInt(process.env.DRIVE_RATE_BURST || '20')
+  },
+  dropbox: {
+    rate: parseFloat(process.env.DROPBOX_RATE_LIMIT || '5'),
+    burst: parseInt(process.env.DROPBOX_RATE_BURST || '10')
+  },
+  http: {
+    rate: parseFloat(process.env.HTTP_RATE_LIMIT || '20'),
+    burst: parseInt(process.env.HTTP_RATE_BURST || '40')
+  }
+};
 
 // Initialize database pool
 const dbPool = mysql.createPool(MYSQL_CONFIG);
@@ -61,6 +139,304 @@ redisClient.on('connect', () => {
   console.log('Worker Service Redis Client Connected');
 });
 
+/**
+ * Report job progress to api-service, which records it in the jobs tables.
+ * Tracking is best-effort: a failure here must not fail the task itself.
+ */
+async function publishJobEvent(event) {
+  if (!event.job_id) return;
+
+  try {
+    await redisClient.rPush(JOB_EVENTS_QUEUE, JSON.stringify({
+      ...event,
+      at: new Date().toISOString()
+    }));
+  } catch (error) {
+    console.error(`Failed to publish ${event.type} event for job ${event.job_id}: ${error.message}`);
+  }
+}
+
+/**
+ * Keep a task that failed for good, with its error, for inspection and
+ * retry through api-service (/dead-letters). A failure to record it is only
+ * logged: the task is acknowledged either way.
+ */
+async function deadLetter(queue, payload, error, details) {
+  try {
+    await deadLetters.addDeadLetter(redisClient, queue, payload, error, details);
+  } catch (deadLetterError) {
+    console.error(`Failed to dead-letter ${payload.file_name || payload.job_id}: ${deadLetterError.message}`);
+  }
+}
+
+/**
+ * image_metadata columns identifying a task's source file:
+ * [google_drive_id, dropbox_id, source_url]
+ */
+function sourceFileIds(task) {
+  if (task.source === 'url') return [null, null, task.url];
+  return task.source === 'dropbox' ? [null, task.file_id, null] : [task.file_id, null, null];
+}
+
+/**
+ * Downloaded content that is not a usable image. The message is reported as
+ * the file's error; `retryable` when downloading again may give a different result.
+ */
+class InvalidImageError extends Error {
+  constructor(message, { retryable = false } = {}) {
+    super(message);
+    this.name = 'InvalidImageError';
+    this.retryable = retryable;
+  }
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// ISO BMFF brands (the "ftyp" box) of AVIF and HEIC/HEIF files
+const AVIF_BRANDS = ['avif', 'avis'];
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+/**
+ * Image formats recognised by their leading bytes. Decodable formats are
+ * also decoded before upload; sharp has no BMP or HEIC decoder, so those
+ * are checked by signature only.
+ */
+const IMAGE_SIGNATURES = [
+  {
+    format: 'jpeg',
+    mimeType: 'image/jpeg',
+    decodable: true,
+    matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff
+  },
+  {
+    format: 'png',
+    mimeType: 'image/png',
+    decodable: true,
+    matches: (b) => b.subarray(0, 8).equals(PNG_SIGNATURE)
+  },
+  {
+    format: 'gif',
+    mimeType: 'image/gif',
+    decodable: true,
+    matches: (b) => ['GIF87a', 'GIF89a'].includes(b.toString('ascii', 0, 6))
+  },
+  {
+    format: 'webp',
+    mimeType: 'image/webp',
+    decodable: true,
+    matches: (b) => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP'
+  },
+  {
+    format: 'tiff',
+    mimeType: 'image/tiff',
+    decodable: true,
+    matches: (b) => ['49492a00', '4d4d002a'].includes(b.subarray(0, 4).toString('hex'))
+  },
+  {
+    format: 'avif',
+    mimeType: 'image/avif',
+    decodable: true,
+    matches: (b) => b.toString('ascii', 4, 8) === 'ftyp' && AVIF_BRANDS.includes(b.toString('ascii', 8, 12))
+  },
+  {
+    format: 'heic',
+    mimeType: 'image/heic',
+    decodable: false,
+    matches: (b) => b.toString('ascii', 4, 8) === 'ftyp' && HEIF_BRANDS.includes(b.toString('ascii', 8, 12))
+  },
+  {
+    format: 'bmp',
+    mimeType: 'image/bmp',
+    decodable: false,
+    matches: (b) => b.toString('ascii', 0, 2) === 'BM' && b.length > 26
+  },
+  {
+    format: 'svg',
+    mimeType: 'image/svg+xml',
+    decodable: true,
+    matches: (b) => /^(\s*(<\?xml[^>]*>|<!--[\s\S]*?-->|<!doctype svg[^>]*>))*\s*<svg[\s>]/i
+      .test(b.subarray(0, 4096).toString('utf8').replace(/^\uFEFF/, ''))
+  }
+];
+
+/**
+ * Write a download to a temporary file, hashing and counting it on the way.
+ * Returns { path, size, contentHash, head } where head is the first
+ * CONTENT_HEAD_BYTES; the caller removes the file when done with it.
+ */
+async function spoolDownload(stream) {
+  const filePath = path.join(WORKER_TMP_DIR, `download-${crypto.randomUUID()}`);
+  const hash = crypto.createHash('sha256');
+  const headChunks = [];
+  let headLength = 0;
+  let size = 0;
+
+  try {
+    await pipeline(
+      stream,
+      async function* (chunks) {
+        for await (const chunk of chunks) {
+          size += chunk.length;
+          if (size > MAX_FILE_BYTES) {
+            throw new InvalidImageError(`Rejected: larger than the ${MAX_FILE_BYTES}-byte file size limit`);
+          }
+
+          hash.update(chunk);
+          if (headLength < CONTENT_HEAD_BYTES) {
+            // Copied, so the rest of the chunk can be freed
+            const part = Buffer.from(chunk.subarray(0, CONTENT_HEAD_BYTES - headLength));
+            headChunks.push(part);
+            headLength += part.length;
+          }
+
+          yield chunk;
+        }
+      },
+      fs.createWriteStream(filePath)
+    );
+  } catch (error) {
+    await fs.promises.rm(filePath, { force: true });
+    throw error;
+  }
+
+  return { path: filePath, size, contentHash: hash.digest('hex'), head: Buffer.concat(headChunks) };
+}
+
+/**
+ * Check a downloaded file (see spoolDownload) really is an image before it is
+ * stored: it must be complete, carry a known image signature and, where sharp
+ * can, decode. Returns the detected { format, mimeType }; throws
+ * InvalidImageError otherwise.
+ */
+async function validateImageContent(file, expectedSize = null) {
+  if (file.size === 0) {
+    throw new InvalidImageError('Rejected: the source returned an empty file');
+  }
+
+  if (expectedSize && file.size < expectedSize) {
+    throw new InvalidImageError(
+      `Rejected: truncated download (received ${file.size} of ${expectedSize} bytes)`,
+      { retryable: true }
+    );
+  }
+
+  const head = file.head.subarray(0, 1024).toString('utf8').replace(/^\uFEFF/, '').trimStart().toLowerCase();
+  if (head.startsWith('<!doctype html') || head.startsWith('<html')) {
+    throw new InvalidImageError(
+      'Rejected: the source returned an HTML page instead of the image (is the file shared publicly, or blocked by a virus scan warning?)'
+    );
+  }
+
+  const signature = IMAGE_SIGNATURES.find(candidate => candidate.matches(file.head));
+  if (!signature) {
+    throw new InvalidImageError(
+      `Rejected: not a supported image format (content starts with 0x${file.head.subarray(0, 8).toString('hex')})`
+    );
+  }
+
+  if (signature.decodable) {
+    try {
+      // Decoding a small version still reads every byte, so truncation shows up here
+      await sharp(file.path, { failOn: 'truncated', sequentialRead: true }).resize(64).toBuffer();
+    } catch (error) {
+      throw new InvalidImageError(`Rejected: ${signature.format} data is corrupt or truncated (${error.message})`);
+    }
+  }
+
+  return { format: signature.format, mimeType: signature.mimeType };
+}
+
+/**
+ * 64-bit difference hash (dHash) of an image, as 16 hex digits.
+ * Resized and re-compressed copies of a photo get the same or a close hash,
+ * so near-duplicates are found by the Hamming distance between hashes.
+ * `input` is a file path or a buffer.
+ */
+async function computePerceptualHash(input) {
+  const pixels = await sharp(input)
+    .rotate() // Honour EXIF orientation so rotated copies still match
+    .removeAlpha()
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  // One bit per pair of horizontally adjacent pixels: is the right one brighter?
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const left = pixels[row * 9 + col];
+      const right = pixels[row * 9 + col + 1];
+      hash = (hash << 1n) | (left < right ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Dimensions and photo metadata (EXIF, XMP, IPTC) of an image.
+ * Filterable fields get their own columns, the rest goes into `exif`.
+ * Anything the file does not carry is null. `input` is a file path or a buffer.
+ */
+async function extractImageProperties(input) {
+  const info = await sharp(input).metadata();
+
+  let tags = null;
+  try {
+    // Given a path, exifr reads only the blocks holding metadata
+    tags = await exifr.parse(input, {
+      tiff: true,
+      exif: true,
+      gps: true,
+      xmp: true,
+      iptc: true,
+      translateValues: false // Numeric Orientation, raw exposure values
+    });
+  } catch (error) {
+    console.warn(`Could not read photo metadata: ${error.message}`);
+  }
+  tags = tags || {};
+
+  // EXIF orientations 5-8 turn the image a quarter, so it displays with width and height swapped
+  const exifOrientation = info.orientation || tags.Orientation || 1;
+  const turned = exifOrientation >= 5;
+  const width = (turned ? info.height : info.width) || null;
+  const height = (turned ? info.width : info.height) || null;
+
+  let orientation = null;
+  if (width && height) {
+    orientation = width > height ? 'landscape' : width < height ? 'portrait' : 'square';
+  }
+
+  const takenAt = tags.DateTimeOriginal || tags.CreateDate || tags.DateCreated || null;
+  const text = (value) => (typeof value === 'string' && value.trim()) || null;
+  const keywords = [].concat(tags.Keywords || tags.subject || []).map(String);
+
+  return {
+    width,
+    height,
+    orientation,
+    taken_at: takenAt instanceof Date && !isNaN(takenAt) ? takenAt : null,
+    camera_make: text(tags.Make),
+    camera_model: text(tags.Model),
+    lens: text(tags.LensModel) || text(tags.Lens),
+    exif: {
+      orientation: exifOrientation,
+      exposure_time: tags.ExposureTime || null,
+      f_number: tags.FNumber || null,
+      iso: tags.ISO || null,
+      focal_length: tags.FocalLength || null,
+      flash: tags.Flash === undefined ? null : tags.Flash,
+      gps: typeof tags.latitude === 'number' && typeof tags.longitude === 'number'
+        ? { latitude: tags.latitude, longitude: tags.longitude, altitude: tags.GPSAltitude || null }
+        : null,
+      keywords: keywords.length ? keywords : null,
+      copyright: text(tags.Copyright) || text(tags.CopyrightNotice)
+    }
+  };
+}
+
 /**
  * Storage Client - abstraction for S3/MinIO
  */
@@ -83,7 +459,8 @@ class StorageClient {
         port: parseInt(port) || 9000,
         useSSL: MINIO_USE_SSL,
         accessKey: MINIO_ACCESS_KEY,
-        secretKey: MINIO_SECRET_KEY
+        secretKey: MINIO_SECRET_KEY,
+        partSize: UPLOAD_PART_SIZE
       });
       this.bucket = MINIO_BUCKET;
       this.isMinio = true;
@@ -110,7 +487,7 @@ class StorageClient {
         await this.minioClient.putObject(
           this.bucket,
           objectName,
-          Buffer.from(fileData),
+          fileData,
           fileData.length,
           {
             'Content-Type': contentType
@@ -122,7 +499,7 @@ class StorageClient {
         await this.s3.putObject({
           Bucket: this.bucket,
           Key: objectName,
-          Body: Buffer.from(fileData),
+          Body: fileData,
           ContentType: contentType
         }).promise();
         return `s3://${this.bucket}/${objectName}`;
@@ -132,17 +509,164 @@ class StorageClient {
       throw error;
     }
   }
+
+  /**
+   * Upload a local file as a stream. Files larger than UPLOAD_PART_SIZE go up
+   * as a multipart upload, one part in memory at a time.
+   */
+  async uploadFileFromPath(filePath, objectName, contentType) {
+    try {
+      const { size } = await fs.promises.stat(filePath);
+
+      if (this.isMinio) {
+        await this.minioClient.putObject(
+          this.bucket,
+          objectName,
+          fs.createReadStream(filePath),
+          size,
+          {
+            'Content-Type': contentType
+          }
+        );
+      } else {
+        await this.s3.upload({
+          Bucket: this.bucket,
+          Key: objectName,
+          Body: fs.createReadStream(filePath),
+          ContentLength: size,
+          ContentType: contentType
+        }, {
+          partSize: UPLOAD_PART_SIZE,
+          queueSize: 2
+        }).promise();
+      }
+
+      return `s3://${this.bucket}/${objectName}`;
+    } catch (error) {
+      console.error(`Error uploading file ${objectName}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async deleteFile(objectName) {
+    try {
+      if (this.isMinio) {
+        await this.minioClient.removeObject(this.bucket, objectName);
+      } else {
+        await this.s3.deleteObject({
+          Bucket: this.bucket,
+          Key: objectName
+        }).promise();
+      }
+    } catch (error) {
+      console.error(`Error deleting file ${objectName}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete every object whose key starts with `prefix`. Returns how many there were.
+   */
+  async deletePrefix(prefix) {
+    try {
+      if (this.isMinio) {
+        const objectNames = [];
+        for await (const object of this.minioClient.listObjectsV2(this.bucket, prefix, true)) {
+          if (object.name) objectNames.push(object.name);
+        }
+
+        if (objectNames.length) {
+          await this.minioClient.removeObjects(this.bucket, objectNames);
+        }
+        return objectNames.length;
+      }
+
+      let deleted = 0;
+      let continuationToken;
+      do {
+        const page = await this.s3.listObjectsV2({
+          Bucket: this.bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken
+        }).promise();
+
+        const objects = (page.Contents || []).map(object => ({ Key: object.Key }));
+        if (objects.length) {
+          await this.s3.deleteObjects({
+            Bucket: this.bucket,
+            Delete: { Objects: objects, Quiet: true }
+          }).promise();
+        }
+
+        deleted += objects.length;
+        continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (continuationToken);
+
+      return deleted;
+    } catch (error) {
+      console.error(`Error deleting objects under ${prefix}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Object key of an s3://bucket/key storage path in this bucket
+   */
+  objectNameFromPath(storagePath) {
+    const prefix = `s3://${this.bucket}/`;
+    return storagePath && storagePath.startsWith(prefix)
+      ? storagePath.slice(prefix.length)
+      : null;
+  }
+}
+
+/**
+ * Replace the streamed body of an error answer with its parsed JSON (or null)
+ */
+async function readErrorBody(response) {
+  const chunks = [];
+  let size = 0;
+
+  try {
+    for await (const chunk of response.data) {
+      chunks.push(chunk);
+      size += chunk.length;
+      if (size > 64 * 1024) break; // not an error message; leaving the loop ends the stream
+    }
+    response.data = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch (error) {
+    response.data = null;
+  }
+}
+
+/**
+ * Classify an error from a provider request, starting a cooldown when it was
+ * a rate limit, and return the error to throw
+ */
+async function handleProviderError(provider, error) {
+  // Downloads are streamed, and so are their error answers
+  if (error.response && error.response.data && typeof error.response.data.pipe === 'function') {
+    await readErrorBody(error.response);
+  }
+
+  return providerErrors.handleProviderError(redisClient, provider, error);
 }
 
 /**
  * Google Drive Client
  */
 class GoogleDriveClient {
-  constructor() {
+  /**
+   * @param auth optional auth client for private folders (see shared/driveCredentials.js);
+   *             public files use GOOGLE_DRIVE_API_KEY or the public download link
+   */
+  constructor(auth = null) {
     this.apiKey = GOOGLE_DRIVE_API_KEY;
     this.drive = null;
     
-    if (this.apiKey) {
+    if (auth) {
+      this.drive = google.drive({ version: 'v3', auth });
+    } else if (this.apiKey) {
       try {
         this.drive = google.drive({
           version: 'v3',
@@ -154,89 +678,336 @@ class GoogleDriveClient {
     }
   }
 
+  /**
+   * Open a file for download: { stream, mimeType, size } where mimeType and
+   * size are what Drive reports (size is null when unknown)
+   */
   async downloadFile(fileId, fileName = null) {
     try {
       if (this.drive) {
         // Use Google Drive API
+        await throttle('google_drive');
         const fileMetadata = await this.drive.files.get({
           fileId: fileId,
           fields: 'mimeType, size'
         });
 
+        await throttle('google_drive');
         const response = await this.drive.files.get(
           { fileId: fileId, alt: 'media' },
-          { responseType: 'arraybuffer' }
+          { responseType: 'stream' }
         );
 
-        const buffer = Buffer.from(response.data);
         const mimeType = fileMetadata.data.mimeType || 'application/octet-stream';
-        const size = parseInt(fileMetadata.data.size) || buffer.length;
+        const size = parseInt(fileMetadata.data.size) || null;
 
-        return { buffer, mimeType, size };
+        return { stream: response.data, mimeType, size };
       } else {
         // Fallback: Use direct download link for public files
         const downloadUrl = `https://drive.google.com/uc?export=download&id=${fileId}`;
-        const response = await axios.get(downloadUrl, {
-          responseType: 'arraybuffer',
+        await throttle('google_drive');
+        let response = await axios.get(downloadUrl, {
+          responseType: 'stream',
           maxRedirects: 5
         });
 
-        let buffer = Buffer.from(response.data);
-        
-        // Handle virus scan warning page
-        if (buffer.toString().includes('virus scan warning') || 
-            buffer.toString().substring(0, 500).toLowerCase().includes('<html')) {
+        // Handle virus scan warning page (served instead of large files)
+        if ((response.headers['content-type'] || '').includes('text/html')) {
+          response.data.destroy();
           const downloadUrlConfirm = `https://drive.google.com/uc?export=download&confirm=t&id=${fileId}`;
-          const confirmResponse = await axios.get(downloadUrlConfirm, {
-            responseType: 'arraybuffer'
+          await throttle('google_drive');
+          response = await axios.get(downloadUrlConfirm, {
+            responseType: 'stream'
           });
-          buffer = Buffer.from(confirmResponse.data);
         }
 
         const mimeType = response.headers['content-type'] || 'image/jpeg';
-        const size = buffer.length;
+        const size = parseInt(response.headers['content-length']) || null;
 
-        return { buffer, mimeType, size };
+        return { stream: response.data, mimeType, size };
       }
     } catch (error) {
       console.error(`Error downloading file ${fileId}: ${error.message}`);
-      throw error;
+      throw await handleProviderError('google_drive', error);
     }
   }
 }
 
 /**
  * Dropbox Client (Bonus feature)
+ * Downloads files out of a shared folder through the Dropbox API v2
  */
 class DropboxClient {
-  async downloadFile(fileId, fileUrl) {
+  constructor() {
+    this.accessToken = DROPBOX_ACCESS_TOKEN;
+    this.contentBaseUrl = DROPBOX_CONTENT_BASE_URL.replace(/\/+$/, '');
+  }
+
+  async downloadFile(sharedLinkUrl, filePath) {
     try {
-      // Convert sharing link to direct download
-      let downloadUrl = fileUrl;
-      if (fileUrl && fileUrl.includes('?dl=0')) {
-        downloadUrl = fileUrl.replace('?dl=0', '?dl=1');
-      } else if (fileUrl && fileUrl.includes('?')) {
-        downloadUrl = fileUrl + '&dl=1';
-      } else if (fileUrl) {
-        downloadUrl = fileUrl + '?dl=1';
-      } else {
-        downloadUrl = `https://www.dropbox.com/s/${fileId}?dl=1`;
+      if (!this.accessToken) {
+        throw new ProviderError('Dropbox access token not configured', { provider: 'dropbox' });
       }
 
-      const response = await axios.get(downloadUrl, {
-        responseType: 'arraybuffer'
+      await throttle('dropbox');
+      const response = await axios({
+        method: 'post',
+        url: `${this.contentBaseUrl}/2/sharing/get_shared_link_file`,
+        headers: {
+          Authorization: `Bearer ${this.accessToken}`,
+          'Dropbox-API-Arg': toDropboxApiArg({ url: sharedLinkUrl, path: filePath })
+        },
+        responseType: 'stream'
       });
 
-      const buffer = Buffer.from(response.data);
+      // Dropbox serves everything as application/octet-stream
       const mimeType = response.headers['content-type'] || 'application/octet-stream';
-      const size = buffer.length;
+      const size = parseInt(response.headers['content-length']) || null;
 
-      return { buffer, mimeType, size };
+      return { stream: response.data, mimeType, size };
     } catch (error) {
-      console.error(`Error downloading Dropbox file: ${error.message}`);
-      throw error;
+      console.error(`Error downloading Dropbox file ${filePath}: ${error.message}`);
+      throw await handleProviderError('dropbox', error);
+    }
+  }
+}
+
+/**
+ * Dropbox-API-Arg is an HTTP header, so non-ASCII characters must be escaped
+ */
+function toDropboxApiArg(arg) {
+  return JSON.stringify(arg).replace(/[\u007f-\uffff]/g, (c) =>
+    '\\u' + c.charCodeAt(0).toString(16).padStart(4, '0')
+  );
+}
+
+/**
+ * A URL download refused because of where it leads. Never retried.
+ */
+class BlockedUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BlockedUrlError';
+  }
+}
+
+/**
+ * DNS lookup for URL downloads that refuses names resolving to a blocked
+ * address. It runs for every connection, redirects included, and the
+ * checked address is the one connected to, so a name cannot be re-pointed
+ * at an internal host between check and use.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(new BlockedUrlError(`${hostname} resolves to ${blocked.address}, which is not a public address`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Addresses written into a URL are connected to without a lookup, so they
+// are checked with the URL
+function checkDownloadUrl(protocol, hostname) {
+  if (!['http:', 'https:'].includes(protocol)) {
+    throw new BlockedUrlError(`${protocol} URLs cannot be imported`);
+  }
+
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw new BlockedUrlError(`${host} is not a public address`);
+  }
+}
+
+/**
+ * Pass a response body through, failing it when no data comes for
+ * HTTP_TIMEOUT_MS or it is not complete after HTTP_BODY_TIMEOUT_MS. axios'
+ * timeout only covers the wait for the headers, so a server that stalls or
+ * trickles the body would otherwise hold the task's slot indefinitely.
+ */
+function withBodyTimeouts(body, hostname) {
+  let idleTimer = null;
+  const timed = new Transform({
+    transform(chunk, encoding, callback) {
+      resetIdleTimer();
+      callback(null, chunk);
+    }
+  });
+
+  const fail = (message) => timed.destroy(new Error(message));
+  function resetIdleTimer() {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => fail(`No data from ${hostname} for ${HTTP_TIMEOUT_MS}ms`), HTTP_TIMEOUT_MS);
+  }
+  const bodyTimer = setTimeout(
+    () => fail(`Download from ${hostname} not complete after ${HTTP_BODY_TIMEOUT_MS}ms`),
+    HTTP_BODY_TIMEOUT_MS
+  );
+
+  resetIdleTimer();
+  timed.on('close', () => {
+    clearTimeout(idleTimer);
+    clearTimeout(bodyTimer);
+  });
+
+  // Destroying `timed` ends the download too; its errors reach `timed`
+  pipeline(body, timed).catch(() => {});
+  return timed;
+}
+
+/**
+ * HTTP Client
+ * Downloads images from plain URLs (partner CDNs and the like), only from
+ * public addresses, following at most HTTP_MAX_REDIRECTS redirects
+ */
+class HttpClient {
+  constructor() {
+    this.agents = {
+      'http:': new http.Agent({ lookup: publicLookup }),
+      'https:': new https.Agent({ lookup: publicLookup })
+    };
+  }
+
+  async downloadFile(url) {
+    try {
+      const { protocol, hostname } = new URL(url);
+      checkDownloadUrl(protocol, hostname);
+
+      await throttle('http');
+      const response = await axios.get(url, {
+        responseType: 'stream',
+        timeout: HTTP_TIMEOUT_MS,
+        maxRedirects: HTTP_MAX_REDIRECTS,
+        httpAgent: this.agents['http:'],
+        httpsAgent: this.agents['https:'],
+        beforeRedirect: (options) => {
+          checkDownloadUrl(options.protocol, options.hostname);
+          // A redirect may switch between http and https
+          options.agent = this.agents[options.protocol];
+        }
+      });
+
+      const mimeType = (response.headers['content-type'] || 'application/octet-stream').split(';')[0].trim();
+      const size = parseInt(response.headers['content-length']) || null;
+
+      return { stream: withBodyTimeouts(response.data, hostname), mimeType, size };
+    } catch (error) {
+      console.error(`Error downloading ${url}: ${error.message}`);
+
+      // Refused by our own checks, possibly wrapped by the redirect handling
+      for (let cause = error; cause; cause = cause.cause) {
+        if (cause instanceof BlockedUrlError) {
+          throw new ProviderError(`Blocked: ${cause.message}`, { provider: 'http', reason: 'blocked_url', cause: error });
+        }
+      }
+      if (error.code === 'ERR_FR_TOO_MANY_REDIRECTS') {
+        throw new ProviderError(`More than ${HTTP_MAX_REDIRECTS} redirects`, { provider: 'http', reason: 'too_many_redirects', cause: error });
+      }
+
+      throw await handleProviderError('http', error);
+    }
+  }
+}
+
+const rateLimiters = Object.fromEntries(
+  Object.entries(RATE_LIMITS).map(([source, limit]) => [source, new RateLimiter(redisClient, source, limit)])
+);
+
+// Requests of this process waiting for a provider cooldown, by source
+const waitingForCooldown = Object.fromEntries(Object.keys(RATE_LIMITS).map(source => [source, 0]));
+
+/**
+ * Wait until a request to `source` may be made: past any cooldown started by
+ * an instance that hit the provider's limit, then within the shared rate
+ */
+async function throttle(source) {
+  if (await providerErrors.cooldownRemaining(redisClient, source) > 0) {
+    waitingForCooldown[source]++;
+    try {
+      await providerErrors.waitForCooldown(redisClient, source);
+    } finally {
+      waitingForCooldown[source]--;
+    }
+  }
+
+  await rateLimiters[source].take();
+}
+
+/**
+ * Runs up to `size` tasks at once and counts them by source
+ */
+class TaskPool {
+  constructor(size) {
+    this.size = size;
+    this.running = 0;
+    this.runningBySource = {};
+    this.slotFreed = null;
+  }
+
+  async waitForSlot() {
+    while (this.running >= this.size) {
+      await new Promise(resolve => { this.slotFreed = resolve; });
     }
   }
+
+  /**
+   * Start `handler` without waiting for it; it must handle its own errors
+   */
+  run(source, handler) {
+    this.running++;
+    this.runningBySource[source] = (this.runningBySource[source] || 0) + 1;
+
+    handler()
+      .catch(error => console.error(`Unhandled error in ${source} task: ${error.message}`))
+      .finally(() => {
+        this.running--;
+        this.runningBySource[source]--;
+        if (this.slotFreed) {
+          this.slotFreed();
+          this.slotFreed = null;
+        }
+      });
+  }
+
+  /**
+   * Wait for running tasks to finish, for at most `timeoutMs`
+   */
+  async drain(timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (this.running > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    return this.running;
+  }
+}
+
+/**
+ * Publish this worker's in-flight counts for api-service (GET /workers)
+ */
+async function publishWorkerStats(pool, startedAt) {
+  const inFlightBySource = Object.fromEntries(
+    Object.entries(pool.runningBySource).filter(([, count]) => count > 0)
+  );
+  const waitingForRateLimit = Object.fromEntries(
+    Object.entries(rateLimiters).map(([source, limiter]) => [source, limiter.waiting])
+  );
+
+  await redisClient.hSet(WORKER_STATS_KEY, WORKER_ID, JSON.stringify({
+    worker_id: WORKER_ID,
+    concurrency: pool.size,
+    in_flight: pool.running,
+    in_flight_by_source: inFlightBySource,
+    waiting_for_rate_limit: waitingForRateLimit,
+    waiting_for_cooldown: { ...waitingForCooldown },
+    rate_limits: RATE_LIMITS,
+    started_at: startedAt,
+    updated_at: new Date().toISOString()
+  }));
 }
 
 /**
@@ -247,22 +1018,53 @@ class WorkerService {
     this.storage = new StorageClient();
     this.driveClient = new GoogleDriveClient();
     this.dropboxClient = new DropboxClient();
+    this.httpClient = new HttpClient();
+    // Private folders: credentials stored encrypted by api-service
+    this.credentialDriveClients = new CredentialClientCache(redisClient, google, auth => new GoogleDriveClient(auth));
+  }
+
+  async getDriveClient(credentialId) {
+    if (!credentialId) {
+      return this.driveClient;
+    }
+
+    return this.credentialDriveClients.get(credentialId);
   }
 
   async processImageTaskWithRetry(task, retries = MAX_RETRIES) {
-    for (let attempt = 1; attempt <= retries; attempt++) {
+    let attempt = 0;
+    let rateLimitedAttempts = 0;
+
+    for (;;) {
       try {
         await this.processImageTask(task);
         return; // Success
       } catch (error) {
+        // A rate limit says nothing about the file: the next request waits
+        // for the cooldown (see throttle), so try again straight away
+        if (error instanceof ProviderError && error.rateLimited && rateLimitedAttempts < MAX_RATE_LIMITED_RETRIES) {
+          rateLimitedAttempts++;
+          console.warn(`${task.file_name} hit the ${error.provider} rate limit (${rateLimitedAttempts}/${MAX_RATE_LIMITED_RETRIES}): ${error.message}`);
+          continue;
+        }
+
+        attempt++;
         console.error(`Attempt ${attempt}/${retries} failed for ${task.file_name}: ${error.message}`);
+
+        // Content that was rejected will be the same on the next download, and
+        // a file the provider refused (not found, no access) will be refused again
+        if ((error instanceof InvalidImageError || error instanceof ProviderError) && !error.retryable) {
+          throw error;
+        }
         
-        if (attempt === retries) {
-          throw new Error(`Failed after ${retries} attempts: ${error.message}`);
+        if (attempt >= retries) {
+          throw new Error(`Failed after ${retries} attempts: ${error.message}`, { cause: error });
         }
         
-        // Exponential backoff
-        const delay = RETRY_DELAY_MS * Math.pow(2, attempt - 1);
+        // Wait as long as the provider asked, otherwise back off exponentially
+        const delay = error instanceof ProviderError && error.retryAfterMs !== null
+          ? error.retryAfterMs
+          : RETRY_DELAY_MS * Math.pow(2, attempt - 1);
         console.log(`Retrying in ${delay}ms...`);
         await new Promise(resolve => setTimeout(resolve, delay));
       }
@@ -273,80 +1075,387 @@ class WorkerService {
     console.log(`Processing image: ${task.file_name} (${task.file_id})`);
 
     // Download file
-    let fileData, mimeType, size;
+    let download;
 
-    if (task.source === 'dropbox') {
-      const result = await this.dropboxClient.downloadFile(
-        task.file_id,
-        task.folder_url
+    if (task.source === 'url') {
+      download = await this.httpClient.downloadFile(task.url);
+    } else if (task.source === 'dropbox') {
+      download = await this.dropboxClient.downloadFile(
+        task.folder_url,
+        task.file_path || `/${task.file_name}`
       );
-      fileData = result.buffer;
-      mimeType = result.mimeType;
-      size = result.size;
     } else {
-      const result = await this.driveClient.downloadFile(task.file_id, task.file_name);
-      fileData = result.buffer;
-      mimeType = result.mimeType;
-      size = result.size;
+      const driveClient = await this.getDriveClient(task.credential_id);
+      download = await driveClient.downloadFile(task.file_id, task.file_name);
+    }
+
+    const reportedSize = task.file_size || download.size;
+    if (reportedSize > MAX_FILE_BYTES) {
+      download.stream.destroy();
+      throw new InvalidImageError(`Rejected: ${reportedSize} bytes is larger than the ${MAX_FILE_BYTES}-byte file size limit`);
     }
 
-    // Use task mime type or detected
-    if (!mimeType || !mimeType.startsWith('image/')) {
-      mimeType = task.mime_type || 'image/jpeg';
+    // The content hash (and so the object name) is only known once the last
+    // byte is in, and the checks below read the file again: keep it on disk
+    const file = await spoolDownload(download.stream);
+
+    try {
+      await publishJobEvent({
+        type: 'file_downloaded',
+        job_id: task.job_id,
+        file_id: task.file_id,
+        file_name: task.file_name,
+        size: file.size
+      });
+
+      await this.storeDownloadedFile(task, file, download.mimeType);
+    } finally {
+      await fs.promises.rm(file.path, { force: true });
     }
+  }
 
-    // Use task size or detected size
-    if (task.file_size && task.file_size > 0) {
-      size = task.file_size;
+  /**
+   * Validate a downloaded file (see spoolDownload), store its content and
+   * derivatives unless already stored, and record its metadata
+   */
+  async storeDownloadedFile(task, file, reportedMimeType) {
+    // Trust the bytes, not the type the source claims
+    const detected = await validateImageContent(file, task.file_size);
+    if (reportedMimeType && reportedMimeType.startsWith('image/') && reportedMimeType !== detected.mimeType) {
+      console.log(`${task.file_name} was reported as ${reportedMimeType} but is ${detected.mimeType}`);
     }
+    const mimeType = detected.mimeType;
+    const size = file.size;
 
-    // Generate storage path
-    const objectName = `images/${task.source}/${task.file_id}/${task.file_name}`;
+    // Source subfolder hierarchy, kept in the metadata
+    const folderPath = (task.folder_path || '')
+      .split('/')
+      .filter(segment => segment && segment !== '.' && segment !== '..')
+      .join('/');
 
-    // Upload to storage
-    const storagePath = await this.storage.uploadFile(
-      fileData,
-      objectName,
-      mimeType
-    );
+    // Identical content is stored once, under its SHA-256, whichever source it came from
+    const contentHash = file.contentHash;
+    const objectName = `images/sha256/${contentHash.slice(0, 2)}/${contentHash}`;
+
+    const stored = await this.findStoredContent(contentHash, task);
+    let storagePath;
+
+    if (stored) {
+      storagePath = stored.storage_path;
+      console.log(`Content of ${task.file_name} already stored at ${storagePath}, skipping upload`);
+    } else {
+      // Upload to storage
+      storagePath = await this.storage.uploadFileFromPath(
+        file.path,
+        objectName,
+        mimeType
+      );
+    }
+
+    // Derivatives belong to the content, so stored content already has them
+    let derivatives = stored && stored.derivatives ? stored.derivatives : null;
+    if (!derivatives) {
+      try {
+        derivatives = await this.generateDerivatives(file.path, contentHash);
+      } catch (error) {
+        console.warn(`Could not generate derivatives of ${task.file_name}: ${error.message}`);
+      }
+    }
+
+    // Another source file with the same content (a re-import of this one is not a duplicate)
+    const duplicateOf = stored && !stored.same_file
+      ? {
+          source: stored.source,
+          file_id: stored.google_drive_id || stored.dropbox_id || stored.source_url,
+          file_name: stored.name
+        }
+      : null;
+
+    // Formats sharp cannot decode are still stored, just without a perceptual hash
+    let perceptualHash = null;
+    try {
+      perceptualHash = await computePerceptualHash(file.path);
+    } catch (error) {
+      console.warn(`Could not compute perceptual hash of ${task.file_name}: ${error.message}`);
+    }
+
+    let properties = {};
+    try {
+      properties = await extractImageProperties(file.path);
+    } catch (error) {
+      console.warn(`Could not read image properties of ${task.file_name}: ${error.message}`);
+    }
+
+    const [googleDriveId, dropboxId, sourceUrl] = sourceFileIds(task);
 
     // Save metadata to database with retry
-    await this.saveImageMetadataWithRetry({
+    const replaced = await this.saveImageMetadataWithRetry({
       name: task.file_name,
-      google_drive_id: task.source === 'google_drive' ? task.file_id : null,
-      dropbox_id: task.source === 'dropbox' ? task.file_id : null,
+      google_drive_id: googleDriveId,
+      dropbox_id: dropboxId,
+      source_url: sourceUrl,
       size: size,
       mime_type: mimeType,
       storage_path: storagePath,
-      source: task.source
+      content_hash: contentHash,
+      perceptual_hash: perceptualHash,
+      derivatives: derivatives,
+      folder_path: folderPath || null,
+      source: task.source,
+      ...properties
+    });
+
+    // A changed file no longer needs the objects its old content was stored in
+    await this.releaseStoredObjects(replaced);
+
+    await this.recordStoredVersion(task, storagePath);
+
+    await publishJobEvent({
+      type: 'file_stored',
+      job_id: task.job_id,
+      file_id: task.file_id,
+      file_name: task.file_name,
+      storage_path: storagePath,
+      content_hash: contentHash,
+      duplicate_of: duplicateOf
     });
 
     console.log(`Successfully processed: ${task.file_name}`);
   }
 
+  /**
+   * Resize an image to each of DERIVATIVE_WIDTHS in each of DERIVATIVE_FORMATS
+   * and upload the results. Returns { [width]: { [format]: storagePath } }.
+   * `input` is a file path or a buffer.
+   */
+  async generateDerivatives(input, contentHash) {
+    const prefix = `derivatives/sha256/${contentHash.slice(0, 2)}/${contentHash}`;
+    const derivatives = {};
+
+    for (const width of DERIVATIVE_WIDTHS) {
+      const resized = sharp(input)
+        .rotate() // Bake in the EXIF orientation, the metadata is stripped
+        .resize({ width, withoutEnlargement: true });
+
+      derivatives[width] = {};
+
+      for (const [format, contentType] of Object.entries(DERIVATIVE_FORMATS)) {
+        const data = await resized.clone().toFormat(format, { quality: 80 }).toBuffer();
+        derivatives[width][format] = await this.storage.uploadFile(
+          data,
+          `${prefix}/${width}.${format}`,
+          contentType
+        );
+      }
+    }
+
+    return derivatives;
+  }
+
+  /**
+   * Image row already pointing at this content, preferring one of another
+   * source file over the task's own. Null if the content is not stored yet.
+   */
+  async findStoredContent(contentHash, task) {
+    const [rows] = await dbPool.execute(
+      `SELECT storage_path, derivatives, source, google_drive_id, dropbox_id, source_url, name,
+              (source = ? AND COALESCE(google_drive_id, dropbox_id, source_url) = ?) AS same_file
+       FROM image_metadata
+       WHERE content_hash = ?
+       ORDER BY same_file
+       LIMIT 1`,
+      [task.source, sourceFileIds(task).find(Boolean) || null, contentHash]
+    );
+
+    return rows[0] || null;
+  }
+
+  /**
+   * Delete stored objects no image row points at any more, along with their
+   * derivatives and the renders api-service made of them. Objects are shared
+   * by every source file with the same content, so they only go with the last of them.
+   *
+   * @param stored [{ storage_path, derivatives }] the rows used to point at
+   */
+  async releaseStoredObjects(stored) {
+    const released = new Set();
+
+    for (const { storage_path: storagePath, derivatives } of stored) {
+      if (!storagePath || released.has(storagePath)) continue;
+      released.add(storagePath);
+
+      try {
+        const [rows] = await dbPool.execute(
+          'SELECT COUNT(*) AS refs FROM image_metadata WHERE storage_path = ?',
+          [storagePath]
+        );
+        if (rows[0].refs > 0) continue;
+
+        const derivativePaths = Object.values(derivatives || {})
+          .flatMap(formats => Object.values(formats));
+
+        for (const path of [storagePath, ...derivativePaths]) {
+          const objectName = this.storage.objectNameFromPath(path);
+          if (objectName) {
+            await this.storage.deleteFile(objectName);
+          }
+        }
+
+        // Renders are keyed by content hash (named in content-addressed
+        // object names) or, for older objects, by storage path
+        const contentHash = (storagePath.match(CONTENT_OBJECT_PATTERN) || [])[1];
+        let renders = await this.storage.deletePrefix(`${pathRenderPrefix(storagePath)}/`);
+        if (contentHash) {
+          renders += await this.storage.deletePrefix(`${contentRenderPrefix(contentHash)}/`);
+        }
+
+        console.log(`Deleted unreferenced object ${storagePath}, ${derivativePaths.length} derivatives and ${renders} renders`);
+      } catch (error) {
+        console.error(`Failed to release ${storagePath}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Remember which version of a source file is stored, for later syncs of its folder
+   */
+  async recordStoredVersion(task, storagePath) {
+    if (!task.folder_id) return;
+
+    await redisClient.hSet(
+      `${SOURCE_FOLDER_FILES_PREFIX}${task.source}:${task.folder_id}`,
+      task.file_id,
+      JSON.stringify({
+        ...(task.source_version || {}),
+        file_name: task.file_name,
+        storage_path: storagePath,
+        stored_at: new Date().toISOString()
+      })
+    );
+  }
+
+  async forgetStoredVersion(task) {
+    if (!task.folder_id || !task.source) return;
+
+    await redisClient.hDel(`${SOURCE_FOLDER_FILES_PREFIX}${task.source}:${task.folder_id}`, task.file_id);
+  }
+
+  /**
+   * Mark the image of a file that was deleted at its source. The image itself
+   * is kept; it is hidden from listings unless deleted images are asked for.
+   */
+  async tombstoneImageTask(task) {
+    const idColumn = task.source === 'dropbox' ? 'dropbox_id' : 'google_drive_id';
+
+    await dbPool.execute(
+      `UPDATE image_metadata SET deleted_at = NOW() WHERE ${idColumn} = ? AND deleted_at IS NULL`,
+      [task.file_id]
+    );
+
+    await this.forgetStoredVersion(task);
+
+    await publishJobEvent({
+      type: 'file_tombstoned',
+      job_id: task.job_id,
+      file_id: task.file_id,
+      file_name: task.file_name
+    });
+
+    console.log(`Tombstoned image deleted at source: ${task.file_name}`);
+  }
+
+  /**
+   * Undo a stored image of a cancelled job: remove its metadata, and the
+   * object too unless other source files share its content
+   */
+  async rollbackImageTask(task) {
+    console.log(`Rolling back image: ${task.file_name} (${task.file_id})`);
+
+    const fileMatch = 'source = ? AND google_drive_id <=> ? AND dropbox_id <=> ? AND source_url <=> ?';
+    const fileParams = [task.source, ...sourceFileIds(task)];
+
+    const [stored] = await dbPool.execute(
+      `SELECT storage_path, derivatives FROM image_metadata WHERE ${fileMatch}`,
+      fileParams
+    );
+
+    await dbPool.execute(`DELETE FROM image_metadata WHERE ${fileMatch}`, fileParams);
+
+    await this.releaseStoredObjects([...stored, { storage_path: task.storage_path }]);
+
+    // Let a later sync of the folder import it again
+    await this.forgetStoredVersion(task);
+
+    await publishJobEvent({
+      type: 'file_rolled_back',
+      job_id: task.job_id,
+      file_id: task.file_id,
+      file_name: task.file_name
+    });
+
+    console.log(`Rolled back: ${task.file_name}`);
+  }
+
+  /**
+   * Save the row of one source file. Returns what it pointed at before
+   * ([{ storage_path, derivatives }]) if its content changed since it was last imported.
+   */
   async saveImageMetadataWithRetry(imageData, retries = MAX_RETRIES) {
     for (let attempt = 1; attempt <= retries; attempt++) {
       try {
         const connection = await dbPool.getConnection();
         try {
-          const query = `
-            INSERT INTO image_metadata 
-            (name, google_drive_id, dropbox_id, size, mime_type, storage_path, source)
-            VALUES (?, ?, ?, ?, ?, ?, ?)
-          `;
-
-          await connection.execute(query, [
-            imageData.name,
-            imageData.google_drive_id,
-            imageData.dropbox_id,
-            imageData.size,
-            imageData.mime_type,
-            imageData.storage_path,
-            imageData.source
-          ]);
+          // Several rows may share a storage path, so a source file is matched on its ID
+          const fileMatch = 'source = ? AND google_drive_id <=> ? AND dropbox_id <=> ? AND source_url <=> ?';
+          const fileParams = [imageData.source, imageData.google_drive_id, imageData.dropbox_id, imageData.source_url];
+
+          const [previous] = await connection.execute(
+            `SELECT storage_path, derivatives FROM image_metadata WHERE ${fileMatch}`,
+            fileParams
+          );
+
+          // Everything but the identity of the source file
+          const values = {
+            name: imageData.name,
+            size: imageData.size,
+            mime_type: imageData.mime_type,
+            storage_path: imageData.storage_path,
+            content_hash: imageData.content_hash,
+            perceptual_hash: imageData.perceptual_hash,
+            derivatives: imageData.derivatives ? JSON.stringify(imageData.derivatives) : null,
+            folder_path: imageData.folder_path,
+            width: imageData.width,
+            height: imageData.height,
+            orientation: imageData.orientation,
+            taken_at: imageData.taken_at,
+            camera_make: imageData.camera_make,
+            camera_model: imageData.camera_model,
+            lens: imageData.lens,
+            exif: imageData.exif ? JSON.stringify(imageData.exif) : null
+          };
+          const columns = Object.keys(values);
+          const params = Object.values(values).map(value => value === undefined ? null : value);
+
+          // Re-imported and changed files update their existing row
+          const [updated] = await connection.execute(
+            `UPDATE image_metadata
+             SET ${columns.map(column => `${column} = ?`).join(', ')}, deleted_at = NULL
+             WHERE ${fileMatch}`,
+            [...params, ...fileParams]
+          );
+
+          if (updated.affectedRows === 0) {
+            const query = `
+              INSERT INTO image_metadata 
+              (source, google_drive_id, dropbox_id, source_url, ${columns.join(', ')})
+              VALUES (${[...fileParams, ...params].map(() => '?').join(', ')})
+            `;
+
+            await connection.execute(query, [...fileParams, ...params]);
+          }
 
           console.log(`Saved metadata for ${imageData.name}`);
-          return;
+          return previous.filter(row => row.storage_path !== imageData.storage_path);
         } finally {
           connection.release();
         }
@@ -364,11 +1473,72 @@ class WorkerService {
   }
 }
 
+/**
+ * Handle one task taken off the image task queue
+ */
+async function handleTask(workerService, task, receivedAt) {
+  if (task.action === 'rollback') {
+    try {
+      await workerService.rollbackImageTask(task);
+    } catch (error) {
+      console.error(`Error rolling back ${task.file_name}: ${error.message}`);
+      await deadLetter(IMAGE_TASK_QUEUE, task, error, { attempts: (task.attempts || 0) + 1, receivedAt });
+    }
+    return;
+  }
+
+  // Skip tasks of cancelled jobs and hold back those of paused jobs
+  const control = await jobParking.getJobControl(redisClient, task.job_id);
+  if (control && control.state === 'cancelled') {
+    console.log(`Skipping image task of cancelled job ${task.job_id}: ${task.file_name}`);
+    return;
+  }
+  if (control && control.state === 'paused') {
+    if (await jobParking.parkJobItem(redisClient, task.job_id, IMAGE_TASK_QUEUE, task)) {
+      console.log(`Parked image task of paused job ${task.job_id}: ${task.file_name}`);
+    }
+    return;
+  }
+
+  if (task.action === 'tombstone') {
+    try {
+      await workerService.tombstoneImageTask(task);
+    } catch (error) {
+      console.error(`Error tombstoning ${task.file_name}: ${error.message}`);
+      await deadLetter(IMAGE_TASK_QUEUE, task, error, { attempts: (task.attempts || 0) + 1, receivedAt });
+    }
+    return;
+  }
+
+  console.log(`Received image task: ${task.file_name}`);
+
+  try {
+    await workerService.processImageTaskWithRetry(task);
+    console.log(`Completed image task: ${task.file_name}`);
+  } catch (error) {
+    console.error(`Error processing image task ${task.file_name}: ${error.message}`);
+    await deadLetter(IMAGE_TASK_QUEUE, task, error, {
+      attempts: (task.attempts || 0) + 1,
+      receivedAt
+    });
+    await publishJobEvent({
+      type: 'file_failed',
+      job_id: task.job_id,
+      file_id: task.file_id,
+      file_name: task.file_name,
+      error: error.message
+    });
+    // Task failed but we continue processing other tasks
+  }
+}
+
 /**
  * Main worker loop
+ * Takes tasks off the queue while fewer than WORKER_CONCURRENCY are running,
+ * so network waits of one task overlap with the work of others.
  */
 async function main() {
-  console.log('Starting Worker Service...');
+  console.log(`Starting Worker Service ${WORKER_ID} (concurrency ${WORKER_CONCURRENCY})...`);
 
   try {
     await redisClient.connect();
@@ -378,44 +1548,91 @@ async function main() {
   }
 
   const workerService = new WorkerService();
+  const pool = new TaskPool(WORKER_CONCURRENCY);
+  const startedAt = new Date().toISOString();
+  let shuttingDown = false;
 
-  // Graceful shutdown handler
-  process.on('SIGTERM', async () => {
-    console.log('SIGTERM signal received: shutting down gracefully');
-    await redisClient.quit();
-    await dbPool.end();
-    process.exit(0);
-  });
+  const statsTimer = setInterval(() => {
+    publishWorkerStats(pool, startedAt).catch(error => {
+      console.error(`Failed to publish worker stats: ${error.message}`);
+    });
+  }, WORKER_STATS_INTERVAL_MS);
 
-  process.on('SIGINT', async () => {
-    console.log('SIGINT signal received: shutting down gracefully');
+  // Recover tasks of workers that crashed or were stopped mid-task
+  const reaperTimer = setInterval(() => {
+    reliableQueue.reclaimExpiredTasks(redisClient, IMAGE_TASK_QUEUE, async (task, attempts) => {
+      const error = new Error(`Gave up after ${attempts} deliveries: the worker processing it stopped or timed out each time`);
+      await deadLetter(IMAGE_TASK_QUEUE, task, error, { attempts });
+
+      if (task.action) return; // rollbacks and tombstones have no task record
+      await publishJobEvent({
+        type: 'file_failed',
+        job_id: task.job_id,
+        file_id: task.file_id,
+        file_name: task.file_name,
+        error: error.message
+      });
+    }).catch(error => {
+      console.error(`Failed to reclaim expired tasks: ${error.message}`);
+    });
+  }, reliableQueue.REAPER_INTERVAL_MS);
+
+  // Graceful shutdown: stop taking tasks and let running ones finish
+  const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`${signal} signal received: shutting down gracefully`);
+
+    clearInterval(statsTimer);
+    clearInterval(reaperTimer);
+    const unfinished = await pool.drain(SHUTDOWN_TIMEOUT_MS);
+    if (unfinished > 0) {
+      console.warn(`Stopping with ${unfinished} task(s) still running`);
+    }
+
+    try {
+      await redisClient.hDel(WORKER_STATS_KEY, WORKER_ID);
+    } catch (error) {
+      console.error(`Failed to remove worker stats: ${error.message}`);
+    }
     await redisClient.quit();
     await dbPool.end();
     process.exit(0);
-  });
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
 
   // Worker loop
-  while (true) {
+  while (!shuttingDown) {
     try {
-      // Block and wait for image task (FIFO queue)
-      const result = await redisClient.blPop(
-        redis.commandOptions({ isolated: true }),
-        IMAGE_TASK_QUEUE,
-        QUEUE_TIMEOUT
-      );
+      await pool.waitForSlot();
+      if (shuttingDown) break;
 
-      if (result) {
-        const task = JSON.parse(result.element);
-        console.log(`Received image task: ${task.file_name}`);
+      // Block and wait for image task (FIFO queue); it stays in the
+      // processing list until acknowledged
+      const raw = await reliableQueue.takeTask(redisClient, IMAGE_TASK_QUEUE, QUEUE_TIMEOUT);
 
-        try {
-          await workerService.processImageTaskWithRetry(task);
-          console.log(`Completed image task: ${task.file_name}`);
-        } catch (error) {
-          console.error(`Error processing image task ${task.file_name}: ${error.message}`);
-          // Task failed but we continue processing other tasks
-          // In production, you might want to push to a dead letter queue
-        }
+      if (raw && shuttingDown) {
+        // Taken while shutting down: leave it for another worker
+        await reliableQueue.releaseTask(redisClient, IMAGE_TASK_QUEUE, raw, JSON.parse(raw), { front: true });
+      } else if (raw) {
+        const task = JSON.parse(raw);
+        const receivedAt = new Date().toISOString();
+        pool.run(task.source || 'unknown', async () => {
+          const leaseTimer = setInterval(() => {
+            reliableQueue.extendLease(redisClient, IMAGE_TASK_QUEUE, raw).catch(error => {
+              console.error(`Failed to extend lease of ${task.file_name}: ${error.message}`);
+            });
+          }, reliableQueue.VISIBILITY_TIMEOUT_MS / 3);
+
+          try {
+            await handleTask(workerService, task, receivedAt);
+            await reliableQueue.ackTask(redisClient, IMAGE_TASK_QUEUE, raw);
+          } finally {
+            clearInterval(leaseTimer);
+          }
+        });
       }
     } catch (error) {
       if (error.code === 'ECONNREFUSED') {